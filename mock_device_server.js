@@ -0,0 +1,415 @@
+// T-Display Web Editor - Mock Device Server
+// Serves the editor like the ESP32 does and accepts configuration uploads,
+// so "Save to Device" can be tried without hardware.
+//
+// Usage: node mock_device_server.js [port]
+//
+// GET /config.json  returns the current configuration with an ETag
+// PUT /config.json  replaces it; a stale If-Match header is rejected with 412
+//                   and anything but an object of SCREEN_n cell arrays with 400
+// The configuration is kept in memory; config.json on disk is never modified.
+//
+// /ws  WebSocket speaking live protocol v1: a hello, then a full frame of the
+//      displayed screen followed by deltas twice a second, plus replies to the
+//      editor's commands (set_screen, set_brightness, read_pid, regen_status).
+//      Soot builds up and regenerates every few minutes.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2], 10) || 8080;
+const ROOT = __dirname;
+const MAX_BODY = 1024 * 1024; // 1 MB
+const FRAME_INTERVAL = 500; // ms between live frames
+const FULL_FRAME_EVERY = 20; // Deltas in between, like the firmware
+const PROTOCOL_VERSION = 1;
+const FIRMWARE_VERSION = 'mock-1.0';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.ico': 'image/x-icon'
+};
+
+let configText = fs.readFileSync(path.join(ROOT, 'config.json'), 'utf8');
+
+// ----------------------------------------------------------------------------
+// Configuration and static files
+// ----------------------------------------------------------------------------
+
+function getEtag(text) {
+    return '"' + crypto.createHash('sha1').update(text).digest('hex').slice(0, 16) + '"';
+}
+
+// Reason the uploaded configuration can't be used, or null: the live frames
+// need an object whose SCREEN_n sections are arrays of cell objects
+function getConfigError(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return 'Configuration must be a JSON object';
+    }
+    const screens = Object.keys(config).filter(key => /^SCREEN_\d+$/.test(key));
+    if (screens.length === 0) {
+        return 'Configuration has no SCREEN_n sections';
+    }
+    const invalid = screens.find(key => !Array.isArray(config[key]) ||
+        config[key].some(cell => !cell || typeof cell !== 'object' || Array.isArray(cell)));
+    return invalid ? `${invalid} must be an array of cell objects` : null;
+}
+
+function handleConfig(req, res) {
+    const etag = getEtag(configText);
+
+    if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': etag, 'Cache-Control': 'no-store' });
+        res.end(configText);
+        return;
+    }
+
+    if (req.method !== 'PUT' && req.method !== 'POST') {
+        res.writeHead(405, { 'Allow': 'GET, PUT, POST' });
+        res.end();
+        return;
+    }
+
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch && ifMatch !== etag) {
+        res.writeHead(412, { 'Content-Type': 'text/plain', 'ETag': etag });
+        res.end('Configuration was changed on the device');
+        return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY) {
+            res.writeHead(413);
+            res.end();
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        let config;
+        try {
+            config = JSON.parse(body);
+        } catch (e) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('Invalid JSON: ' + e.message);
+            return;
+        }
+        const error = getConfigError(config);
+        if (error) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end(error);
+            return;
+        }
+        configText = body;
+        console.log(`${new Date().toLocaleTimeString()} configuration updated (${body.length} bytes)`);
+        res.writeHead(204, { 'ETag': getEtag(configText) });
+        res.end();
+    });
+}
+
+function handleStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (err) {
+        // Malformed escape such as /%E0%A4%A
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// ----------------------------------------------------------------------------
+// Live data
+// ----------------------------------------------------------------------------
+
+// Shared by every connection, like the single display of the real device
+const device = {
+    screen: 'SCREEN_1',
+    intensity: 6,
+    soot: 4,
+    distance: 0,
+    minutes: 0,
+    regen: 0 // Ticks of regeneration left
+};
+
+function getConfig() {
+    return JSON.parse(configText);
+}
+
+function getEngineData(config) {
+    const engine = config.CURRENT_ENGINE && config.CURRENT_ENGINE.engine_type;
+    return config[engine] || {};
+}
+
+function advanceDevice() {
+    device.minutes += FRAME_INTERVAL / 60000;
+    device.distance += 0.02;
+    if (device.regen > 0) {
+        device.soot = Math.max(1.5, device.soot - 0.15);
+        device.regen--;
+        if (device.regen === 0) {
+            device.distance = 0;
+            device.minutes = 0;
+        }
+    } else {
+        device.soot += 0.05;
+        if (device.soot >= 24) device.regen = 150;
+    }
+}
+
+function mockValue(key) {
+    const noise = (amplitude) => (Math.random() - 0.5) * 2 * amplitude;
+    const hot = device.regen > 0;
+    switch (key) {
+        case 'SOOT_MAS_CALC': return { value: device.soot };
+        case 'SOOT_MAS_MEAS': return { value: device.soot * 1.08 + noise(0.2) };
+        case 'DISTANCE': return { value: device.distance };
+        case 'TIME_SINCE_REGEN': return { value: device.minutes };
+        case 'TEMP_DPF_IN': return { value: (hot ? 590 : 220) + noise(15) };
+        case 'TEMP_DPF_OUT': return { value: (hot ? 620 : 180) + noise(15) };
+        case 'DIFF_PRESSURE': return { value: 5 + device.soot * 0.6 + noise(1) };
+        case 'POST_INJ_2': case 'POST_INJ_3': return { value: hot ? 12 + noise(2) : 0 };
+        case 'BATT_VOLTAGE': return { value: 14.1 + noise(0.1) };
+        case 'AMBIENT_LIGHT': return { value: 500 + noise(50) };
+        case 'PWR_ON': return { value: 1 };
+        case 'VIN': case 'VIN2': return { value: 0, str_value: 'WF0XXXTTGXKA12345' };
+        case 'ENG_CODE': return { value: 0, str_value: 'CNHC' };
+        default: return { value: 50 + noise(50) };
+    }
+}
+
+function buildCells() {
+    const config = getConfig();
+    const screen = config[device.screen];
+    // A screen missing from the configuration shows no cells
+    return (Array.isArray(screen) ? screen : []).map(cell => ({
+        ...cell,
+        enabled: cell.enabled === 'true',
+        decimalPlaces: parseInt(cell.decimals, 10) || 0,
+        str_value: '',
+        ...mockValue(cell.data1),
+        data1_valid: true
+    }));
+}
+
+// Changed values since the last message; null when the screen's layout changed
+function buildDelta(previous, cells) {
+    if (previous.length !== cells.length || cells.some((cell, i) => cell.data1 !== previous[i].data1)) {
+        return null;
+    }
+    const changes = [];
+    cells.forEach((cell, index) => {
+        const old = previous[index];
+        const decimals = cell.decimalPlaces;
+        if (cell.str_value !== old.str_value) {
+            changes.push({ index, str_value: cell.str_value });
+        } else if (cell.value.toFixed(decimals) !== old.value.toFixed(decimals)) {
+            changes.push({ index, value: cell.value });
+        }
+    });
+    return { type: 'delta', cells: changes };
+}
+
+// ----------------------------------------------------------------------------
+// Commands
+// ----------------------------------------------------------------------------
+
+const COMMANDS = {
+    set_screen({ screen }) {
+        if (!/^SCREEN_\d+$/.test(screen) || !Array.isArray(getConfig()[screen])) {
+            throw new Error(`Unknown screen ${screen}`);
+        }
+        device.screen = screen;
+        return { screen };
+    },
+    set_brightness({ intensity }) {
+        if (!Number.isInteger(intensity) || intensity < 0 || intensity > 10) {
+            throw new Error('Intensity must be a whole number from 0 to 10');
+        }
+        device.intensity = intensity;
+        return { intensity };
+    },
+    read_pid({ key }) {
+        if (!(key in getEngineData(getConfig()))) {
+            throw new Error(`Unknown data key ${key}`);
+        }
+        return { key, ...mockValue(key), valid: true };
+    },
+    regen_status() {
+        return { active: device.regen > 0, soot: device.soot, distance: device.distance, minutes: device.minutes };
+    }
+};
+
+function handleCommand(message) {
+    const handler = COMMANDS[message.command];
+    try {
+        if (!handler) throw new Error(`Unknown command ${message.command}`);
+        const result = handler(message.params || {});
+        console.log(`${new Date().toLocaleTimeString()} ${message.command} ${JSON.stringify(message.params || {})}`);
+        return { type: 'response', id: message.id, ok: true, result };
+    } catch (e) {
+        return { type: 'response', id: message.id, ok: false, error: e.message };
+    }
+}
+
+// ----------------------------------------------------------------------------
+// Minimal WebSocket (RFC 6455): unfragmented text frames, ping and close
+// ----------------------------------------------------------------------------
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Returns { opcode, payload, size } for the first complete frame in buffer, or null
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+    return { opcode, payload, size: offset + length };
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.url.split('?')[0] !== '/ws' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    console.log(`${new Date().toLocaleTimeString()} live client connected`);
+
+    const send = (message) => {
+        if (!socket.destroyed) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+    };
+    send({ type: 'hello', protocol: PROTOCOL_VERSION, firmware: FIRMWARE_VERSION });
+
+    // The delta baseline is what the editor has, so it only moves when values go out
+    let sent = [];
+    let count = 0;
+    const timer = setInterval(() => {
+        const cells = buildCells();
+        const delta = count++ % FULL_FRAME_EVERY === 0 ? null : buildDelta(sent, cells);
+        if (delta) {
+            delta.cells.forEach(({ index, ...fields }) => { sent[index] = { ...sent[index], ...fields }; });
+            send(delta);
+        } else {
+            sent = cells;
+            send({ type: 'frame', screen: device.screen, cells, timestamp: Date.now() });
+        }
+    }, FRAME_INTERVAL);
+    socket.on('close', () => {
+        clearInterval(timer);
+        console.log(`${new Date().toLocaleTimeString()} live client disconnected`);
+    });
+    socket.on('error', () => socket.destroy());
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        let frame;
+        while ((frame = decodeFrame(pending))) {
+            pending = pending.subarray(frame.size);
+            if (frame.opcode === 0x8) {
+                socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                return;
+            }
+            if (frame.opcode === 0x9) {
+                socket.write(encodeFrame(0xa, frame.payload));
+            } else if (frame.opcode === 0x1) {
+                let message;
+                try {
+                    message = JSON.parse(frame.payload.toString('utf8'));
+                } catch (e) {
+                    continue;
+                }
+                if (message.type === 'command') {
+                    // A little latency, like a real CAN round trip
+                    setTimeout(() => send(handleCommand(message)), 50 + Math.random() * 150);
+                }
+            }
+        }
+    });
+}
+
+setInterval(advanceDevice, FRAME_INTERVAL);
+
+// ----------------------------------------------------------------------------
+// Server
+// ----------------------------------------------------------------------------
+
+const server = http.createServer((req, res) => {
+    if (req.url.split('?')[0] === '/config.json') {
+        handleConfig(req, res);
+    } else {
+        handleStatic(req, res);
+    }
+});
+
+server.on('upgrade', handleUpgrade);
+
+server.listen(PORT, () => {
+    console.log(`Mock device running at http://localhost:${PORT}/`);
+});
@@ -44,6 +44,38 @@ function rgb888ToRgb565(hexColor) {
     return '0x' + rgb565.toString(16).padStart(4, '0');
 }
 
+/**
+ * Deep copy plain JSON data (cells, screens, config sections)
+ */
+function deepClone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Escape text for safe insertion into HTML markup
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Offer text content to the user as a file download
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Wait for config data to load
  */
@@ -67,6 +99,320 @@ function waitForConfig(timeout = 5000) {
     });
 }
 
+/**
+ * Convert a stored colour ("0xF800" RGB565, or "#rrggbb" as written by new cells) to a CSS colour
+ */
+function colorToCss(value, fallback = 0) {
+    let rgb565 = fallback;
+    if (typeof value === 'number') {
+        rgb565 = value;
+    } else if (typeof value === 'string' && value.startsWith('#')) {
+        rgb565 = parseInt(rgb888ToRgb565(value), 16);
+    } else if (typeof value === 'string') {
+        const parsed = parseInt(value.replace(/^0x/i, ''), 16);
+        if (!isNaN(parsed)) rgb565 = parsed;
+    }
+    if (isNaN(rgb565)) rgb565 = fallback;
+    return '#' + rgb565ToRgb888(rgb565).toString(16).padStart(6, '0');
+}
+
+// ============================================================================
+// Font Registry
+// ============================================================================
+
+/**
+ * Per-glyph metrics of the smooth (VLW) fonts in device pixels, for the characters
+ * ' ' to '~' followed by '°': advance, bitmap height and top above the baseline.
+ * Taken from the outlines the VLW files were generated from (Roboto Black, Rasa
+ * Medium) as Processing's font tool rasterises them: whole-pixel advances at the
+ * font's pixel size. ascent/descent are the glyph extremes, whose sum TFT_eSPI's
+ * smooth font loader uses as the line height.
+ */
+const FONT_GLYPH_METRICS = {
+    'RobotoBlack16': {
+        ascent: 14,
+        descent: 4,
+        advance: [
+            4, 4, 5, 9, 9, 12, 11, 2, 6, 6, 7, 9, 4, 7, 5, 6,
+            9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 5, 5, 8, 9, 8, 8,
+            14, 11, 10, 11, 10, 9, 9, 11, 11, 5, 9, 10, 9, 14, 11, 11,
+            10, 11, 10, 10, 10, 11, 11, 14, 10, 10, 10, 5, 7, 5, 7, 7,
+            5, 9, 9, 8, 9, 9, 6, 9, 9, 4, 4, 9, 4, 14, 9, 9,
+            9, 9, 6, 8, 6, 9, 8, 12, 8, 8, 8, 5, 4, 5, 10, 6
+        ],
+        height: [
+            0, 13, 6, 12, 16, 13, 13, 5, 17, 17, 8, 9, 6, 3, 4, 13,
+            13, 12, 12, 13, 12, 13, 13, 12, 13, 13, 10, 13, 9, 6, 9, 13,
+            16, 12, 12, 13, 12, 12, 12, 13, 12, 12, 13, 12, 12, 12, 12, 13,
+            12, 15, 12, 13, 12, 13, 12, 12, 12, 12, 12, 17, 13, 17, 7, 2,
+            3, 10, 13, 10, 13, 10, 13, 13, 12, 12, 16, 13, 12, 9, 9, 10,
+            13, 13, 9, 10, 12, 10, 9, 9, 9, 13, 9, 16, 15, 16, 5, 5
+        ],
+        top: [
+            0, 12, 13, 12, 14, 12, 12, 12, 13, 13, 12, 10, 2, 6, 3, 12,
+            12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 9, 9, 9, 8, 9, 12,
+            12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12,
+            12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 14, 12, 14, 12, 0,
+            12, 9, 12, 9, 12, 9, 13, 9, 12, 12, 12, 13, 12, 9, 9, 9,
+            9, 9, 9, 9, 11, 9, 9, 9, 9, 9, 9, 13, 12, 13, 7, 12
+        ]
+    },
+    'RobotoBlack20': {
+        ascent: 17,
+        descent: 5,
+        advance: [
+            5, 6, 6, 12, 12, 15, 13, 3, 7, 7, 9, 11, 5, 9, 6, 7,
+            12, 12, 12, 12, 12, 12, 12, 12, 12, 12, 6, 6, 10, 12, 10, 10,
+            18, 14, 13, 13, 13, 11, 11, 14, 14, 6, 11, 13, 11, 18, 14, 14,
+            13, 14, 13, 13, 13, 13, 13, 17, 13, 13, 12, 6, 9, 6, 9, 9,
+            7, 11, 11, 10, 11, 11, 7, 12, 11, 5, 5, 11, 5, 17, 11, 11,
+            11, 11, 8, 10, 7, 11, 10, 15, 10, 10, 10, 7, 5, 7, 13, 8
+        ],
+        height: [
+            0, 16, 7, 15, 20, 16, 16, 6, 21, 21, 10, 11, 7, 4, 5, 17,
+            16, 15, 15, 16, 15, 16, 16, 15, 16, 16, 12, 15, 10, 8, 10, 16,
+            19, 15, 15, 16, 15, 15, 15, 16, 15, 15, 16, 15, 15, 15, 15, 16,
+            15, 18, 15, 16, 15, 16, 15, 15, 15, 15, 15, 21, 17, 21, 8, 3,
+            4, 12, 16, 12, 16, 12, 16, 16, 15, 15, 20, 16, 15, 11, 11, 12,
+            16, 16, 11, 12, 15, 12, 11, 11, 11, 16, 11, 20, 18, 20, 6, 7
+        ],
+        top: [
+            0, 15, 16, 15, 17, 15, 15, 15, 16, 16, 15, 12, 3, 8, 4, 15,
+            15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 11, 11, 11, 10, 11, 15,
+            14, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15,
+            15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 17, 15, 17, 15, 0,
+            15, 11, 15, 11, 15, 11, 16, 11, 15, 15, 15, 16, 15, 11, 11, 11,
+            11, 11, 11, 11, 14, 11, 11, 11, 11, 11, 11, 16, 15, 16, 9, 15
+        ]
+    },
+    'Rasa-Medium-16': {
+        ascent: 12,
+        descent: 4,
+        advance: [
+            3, 4, 6, 9, 7, 11, 10, 3, 4, 4, 7, 7, 4, 6, 3, 6,
+            8, 6, 7, 7, 7, 7, 7, 7, 7, 7, 4, 4, 7, 7, 7, 6,
+            12, 9, 9, 8, 10, 8, 8, 9, 11, 5, 5, 9, 8, 13, 10, 9,
+            8, 9, 9, 8, 9, 10, 9, 13, 9, 9, 8, 5, 6, 5, 7, 10,
+            6, 7, 8, 7, 8, 7, 5, 8, 8, 4, 4, 8, 4, 12, 9, 8,
+            8, 8, 6, 6, 5, 8, 7, 11, 8, 7, 7, 5, 4, 5, 8, 5
+        ],
+        height: [
+            0, 11, 5, 8, 12, 10, 11, 5, 16, 16, 7, 6, 5, 2, 3, 13,
+            10, 9, 9, 10, 9, 10, 10, 8, 10, 10, 8, 10, 7, 4, 7, 11,
+            13, 10, 11, 11, 11, 10, 10, 11, 10, 10, 13, 10, 10, 10, 10, 11,
+            10, 13, 10, 11, 10, 11, 11, 11, 10, 10, 10, 14, 13, 14, 6, 2,
+            4, 8, 12, 8, 12, 8, 11, 11, 11, 10, 14, 11, 11, 7, 7, 8,
+            10, 10, 7, 8, 10, 8, 8, 8, 7, 11, 7, 14, 14, 14, 3, 5
+        ],
+        top: [
+            0, 10, 10, 8, 10, 9, 10, 10, 12, 12, 11, 7, 2, 4, 2, 11,
+            9, 9, 9, 9, 9, 9, 9, 8, 9, 9, 7, 7, 7, 6, 7, 10,
+            10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10,
+            10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 11, 11, 11, 10, -1,
+            11, 7, 11, 7, 11, 7, 11, 7, 11, 10, 10, 11, 11, 7, 7, 7,
+            7, 7, 7, 7, 9, 7, 7, 7, 7, 7, 7, 11, 12, 11, 5, 10
+        ]
+    }
+};
+
+// First character of the FONT_GLYPH_METRICS tables; the entry after '~' is '°'
+const FONT_GLYPH_FIRST = 0x20;
+
+/**
+ * Fonts known to the firmware, keyed by the TFT_eSPI font name used in font1/font2.
+ *
+ * - segment: seven-segment digit fonts, drawn from SEGMENT_GLYPHS
+ * - canvas:  smooth (VLW) and built-in proportional fonts, drawn with the closest
+ *            browser font scaled to the device pixel height
+ *
+ * Text is measured from glyph tables where the firmware's font data is available:
+ * FONT_GLYPH_METRICS for the smooth fonts, and fixed 6x8 cells for GLCD (TFT_eSPI
+ * font 1). The DS-Digital VLW fonts and built-in fonts 2, 4, 6, 7 and 8 have no
+ * bundled tables (estimated: true); their size is the nominal pixel size and the
+ * proportions (ascent, digitWidth, ...) are estimated fractions of it.
+ */
+const FONT_REGISTRY = {
+    // Smooth fonts loaded from flash
+    'ds_digital_bold44_FS': { kind: 'segment', estimated: true, size: 44, digitHeight: 0.72, digitWidth: 0.4, stroke: 0.085, advance: 0.52 },
+    'ds_digital_bold80_FS': { kind: 'segment', estimated: true, size: 80, digitHeight: 0.72, digitWidth: 0.4, stroke: 0.085, advance: 0.52 },
+    'RobotoBlack16': { kind: 'canvas', size: 16, family: "'Roboto', 'Arial Black', Arial, sans-serif", weight: 900, ascent: 0.74, glyphs: FONT_GLYPH_METRICS['RobotoBlack16'] },
+    'RobotoBlack20': { kind: 'canvas', size: 20, family: "'Roboto', 'Arial Black', Arial, sans-serif", weight: 900, ascent: 0.74, glyphs: FONT_GLYPH_METRICS['RobotoBlack20'] },
+    'Rasa-Medium-16': { kind: 'canvas', size: 16, family: "'Rasa', Georgia, 'Times New Roman', serif", weight: 500, ascent: 0.7, glyphs: FONT_GLYPH_METRICS['Rasa-Medium-16'] },
+
+    // TFT_eSPI built-in fonts (setTextFont 1..8)
+    'GLCD': { kind: 'canvas', size: 8, family: 'monospace', weight: 400, ascent: 0.875, fixed: { advance: 6, height: 8, ascent: 7 } },
+    'Font2': { kind: 'canvas', estimated: true, size: 16, family: 'Arial, sans-serif', weight: 400, ascent: 0.75 },
+    'Font4': { kind: 'canvas', estimated: true, size: 26, family: 'Arial, sans-serif', weight: 400, ascent: 0.75 },
+    'Font6': { kind: 'canvas', estimated: true, size: 48, family: 'Arial, sans-serif', weight: 400, ascent: 0.75 },
+    'Font7': { kind: 'segment', estimated: true, size: 48, digitHeight: 0.96, digitWidth: 0.5, stroke: 0.1, advance: 0.6 },
+    'Font8': { kind: 'canvas', estimated: true, size: 75, family: 'Arial, sans-serif', weight: 400, ascent: 0.75 }
+};
+
+/**
+ * Seven-segment glyphs as segment bitmasks.
+ * Bit order: a (top), b (top right), c (bottom right), d (bottom), e (bottom left), f (top left), g (middle)
+ */
+const SEGMENT_GLYPHS = {
+    '0': 0b0111111, '1': 0b0000110, '2': 0b1011011, '3': 0b1001111, '4': 0b1100110,
+    '5': 0b1101101, '6': 0b1111101, '7': 0b0000111, '8': 0b1111111, '9': 0b1101111,
+    '-': 0b1000000, ' ': 0, 'A': 0b1110111, 'b': 0b1111100, 'C': 0b0111001, 'd': 0b1011110,
+    'E': 0b1111001, 'F': 0b1110001, 'H': 0b1110110, 'L': 0b0111000, 'o': 0b1011100,
+    'P': 0b1110011, 'r': 0b1010000, 'U': 0b0111110
+};
+
+/**
+ * Resolve a font name to its registry entry. Unknown names fall back to a generic
+ * font sized from the trailing number in the name (e.g. "Font24" -> 24px).
+ */
+function resolveFont(fontName) {
+    if (FONT_REGISTRY[fontName]) {
+        return { name: fontName, known: true, ...FONT_REGISTRY[fontName] };
+    }
+    const match = /(\d+)\D*$/.exec(fontName || '');
+    const size = match ? Math.max(6, Math.min(96, parseInt(match[1], 10))) : 16;
+    return { name: fontName, known: false, estimated: true, kind: 'canvas', size: size, family: 'sans-serif', weight: 400, ascent: 0.75 };
+}
+
+// Glyph index in FONT_GLYPH_METRICS tables, or -1 when the font has no such glyph
+function getGlyphIndex(ch) {
+    if (ch === '°') return 0x7F - FONT_GLYPH_FIRST;
+    const code = ch.codePointAt(0);
+    return code >= FONT_GLYPH_FIRST && code < 0x7F ? code - FONT_GLYPH_FIRST : -1;
+}
+
+class FontRenderer {
+    constructor(ctx) {
+        this.ctx = ctx;
+    }
+
+    // Size of the text box in device pixels: { width, height }
+    measure(text, fontName) {
+        const font = resolveFont(fontName);
+        text = String(text);
+
+        if (font.kind === 'segment') {
+            let width = 0;
+            for (const ch of text) {
+                width += this.getSegmentAdvance(ch, font);
+            }
+            return { width: Math.round(width), height: Math.round(font.size * font.digitHeight) };
+        }
+
+        if (font.fixed) {
+            return { width: [...text].length * font.fixed.advance, height: font.fixed.height };
+        }
+        if (font.glyphs) {
+            let width = 0;
+            for (const ch of text) {
+                width += this.getGlyphAdvance(ch, font);
+            }
+            return { width, height: font.glyphs.ascent + font.glyphs.descent };
+        }
+
+        this.ctx.save();
+        this.ctx.font = this.getCanvasFont(font);
+        const width = this.ctx.measureText(text).width;
+        this.ctx.restore();
+        return { width: Math.round(width), height: Math.round(font.size * font.ascent) };
+    }
+
+    // Advance from the glyph table; like TFT_eSPI, a missing glyph takes a space plus one pixel
+    getGlyphAdvance(ch, font) {
+        const index = getGlyphIndex(ch);
+        const advance = font.glyphs.advance;
+        return index >= 0 ? advance[index] : advance[0] + 1;
+    }
+
+    // Draw text with its box's top-left corner at (x, y)
+    draw(text, fontName, x, y, color) {
+        const font = resolveFont(fontName);
+        text = String(text);
+
+        this.ctx.save();
+        this.ctx.fillStyle = color;
+
+        if (font.kind === 'segment') {
+            let cursor = x;
+            for (const ch of text) {
+                this.drawSegmentGlyph(ch, font, cursor, y);
+                cursor += this.getSegmentAdvance(ch, font);
+            }
+        } else if (font.glyphs || font.fixed) {
+            // Place each glyph at the device's advance so widths match the display
+            this.ctx.font = this.getCanvasFont(font);
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'alphabetic';
+            const baseline = y + (font.glyphs ? font.glyphs.ascent : font.fixed.ascent);
+            let cursor = x;
+            for (const ch of text) {
+                this.ctx.fillText(ch, cursor, baseline);
+                cursor += font.glyphs ? this.getGlyphAdvance(ch, font) : font.fixed.advance;
+            }
+        } else {
+            this.ctx.font = this.getCanvasFont(font);
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'alphabetic';
+            this.ctx.fillText(text, x, y + font.size * font.ascent);
+        }
+
+        this.ctx.restore();
+    }
+
+    getCanvasFont(font) {
+        return `${font.weight} ${font.size}px ${font.family}`;
+    }
+
+    getSegmentAdvance(ch, font) {
+        if (ch === '.' || ch === ':') return font.size * font.stroke * 2.2;
+        return font.size * font.advance;
+    }
+
+    drawSegmentGlyph(ch, font, x, y) {
+        const h = font.size * font.digitHeight;
+        const w = font.size * font.digitWidth;
+        const t = font.size * font.stroke;
+        const ctx = this.ctx;
+
+        if (ch === '.') {
+            ctx.fillRect(x + t * 0.6, y + h - t, t, t);
+            return;
+        }
+        if (ch === ':') {
+            ctx.fillRect(x + t * 0.6, y + h * 0.3 - t / 2, t, t);
+            ctx.fillRect(x + t * 0.6, y + h * 0.7 - t / 2, t, t);
+            return;
+        }
+
+        let mask = SEGMENT_GLYPHS[ch];
+        if (mask === undefined) mask = SEGMENT_GLYPHS[ch.toUpperCase()];
+        if (mask === undefined) mask = SEGMENT_GLYPHS[ch.toLowerCase()];
+        if (mask === undefined) {
+            // No segment glyph: fall back to a plain character of the same height
+            ctx.font = `bold ${Math.round(h * 1.3)}px monospace`;
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillText(ch, x, y + h);
+            return;
+        }
+
+        const gap = t * 0.15;
+        const half = h / 2;
+        const segments = [
+            [x + t, y, w - 2 * t, t],                                // a
+            [x + w - t, y + t + gap, t, half - t * 1.5 - gap],       // b
+            [x + w - t, y + half + t / 2 + gap, t, half - t * 1.5 - gap], // c
+            [x + t, y + h - t, w - 2 * t, t],                        // d
+            [x, y + half + t / 2 + gap, t, half - t * 1.5 - gap],    // e
+            [x, y + t + gap, t, half - t * 1.5 - gap],               // f
+            [x + t, y + half - t / 2, w - 2 * t, t]                  // g
+        ];
+        segments.forEach((rect, bit) => {
+            if (mask & (1 << bit)) {
+                ctx.fillRect(rect[0], rect[1], rect[2], rect[3]);
+            }
+        });
+    }
+}
+
 // ============================================================================
 // Canvas Manager
 // ============================================================================
@@ -80,6 +426,16 @@ class CanvasManager {
         this.minZoom = 0.5;
         this.maxZoom = 4.0;
         this.zoomStep = 0.25;
+        this.handleSize = 8; // Resize handle size in screen pixels
+        this.minCellSize = 4;
+        this.fonts = new FontRenderer(this.ctx);
+        this.sampleValue = 12.345; // Shown on the value line when no value provider is set
+        this.valueProvider = null; // Optional (cell) => number or text for the value line
+        this.textPadding = 3;
+        this.blinkOn = true; // Phase of blinking rules; toggled by the page that owns the canvas
+        this.blinkingCells = 0; // Cells drawn with a blinking rule in the last drawScreen
+        this.hiddenCells = new Set(); // Indices of the drawn screen's cells hidden in the layer list (editor only)
+        this.disabledCells = 'hatched'; // How cells with enabled "false" are previewed: 'hatched' or 'hidden'
     }
 
     clear() {
@@ -108,39 +464,138 @@ class CanvasManager {
         return Math.round(this.zoomLevel * 100);
     }
 
+    getCellValue(cell) {
+        return this.valueProvider ? this.valueProvider(cell) : this.sampleValue;
+    }
+
+    // Numbers use the cell's decimals; text is shown as is
+    formatCellValue(cell, value) {
+        if (typeof value === 'number') {
+            return value.toFixed(parseInt(cell.decimals, 10) || 0);
+        }
+        return String(value ?? '');
+    }
+
+    // Draws the cell as the device does: label in font2 at the top left, value in font1
+    // centred below it, coloured by the first matching rule. Returns { overflow, blinking }.
     drawCell(cell) {
-        const px = parseInt(cell.posx, 10) || 0;
-        const py = parseInt(cell.posy, 10) || 0;
-        const w = parseInt(cell.sizex, 10) || 0;
-        const h = parseInt(cell.sizey, 10) || 0;
-        const bg = parseInt(cell.bg_color, 16) || 0;
-        const fg = parseInt(cell.font1_color, 16) || 0;
+        const { x: px, y: py, w, h } = this.getCellBounds(cell);
+        const pad = this.textPadding;
+        const rawValue = this.getCellValue(cell);
+        const rule = matchCellRule(cell.rules, rawValue);
+        const colors = getCellRuleColors(cell, rule, this.blinkOn);
 
         // Draw background
-        const rgbBg = rgb565ToRgb888(bg).toString(16).padStart(6, '0');
-        this.ctx.fillStyle = '#' + rgbBg;
+        this.ctx.fillStyle = colorToCss(colors.bg_color, 0);
         this.ctx.fillRect(px, py, w, h);
 
         // Draw text label
-        const rgbFg = rgb565ToRgb888(fg).toString(16).padStart(6, '0');
-        this.ctx.fillStyle = '#' + rgbFg;
-        this.ctx.font = '12px monospace';
-        this.ctx.fillText(cell.name || '', px + 5, py + 15);
+        const label = cell.name || '';
+        const labelSize = this.fonts.measure(label, cell.font2);
+        this.fonts.draw(label, cell.font2, px + pad, py + pad, colorToCss(colors.font2_color, 0xFFFF));
+
+        // Draw value centred in the space below the label
+        const value = this.formatCellValue(cell, rawValue);
+        const valueSize = this.fonts.measure(value, cell.font1);
+        const valueTop = py + pad + labelSize.height + pad;
+        const valueSpace = py + h - pad - valueTop;
+        const valueX = px + Math.round((w - valueSize.width) / 2);
+        const valueY = valueTop + Math.round((valueSpace - valueSize.height) / 2);
+        this.fonts.draw(value, cell.font1, valueX, valueY, colorToCss(colors.font1_color, 0xFFFF));
+
+        if (rule?.icon) {
+            const size = Math.max(8, Math.min(16, Math.floor(h / 3)));
+            drawRuleIcon(this.ctx, rule.icon, px + w - size - pad, py + pad, size);
+        }
+
+        const overflow = labelSize.width + 2 * pad > w ||
+            valueSize.width + 2 * pad > w ||
+            labelSize.height + valueSize.height + 3 * pad > h;
+
+        if (overflow) {
+            this.drawOverflowMarker(px, py, w, h);
+        }
+
+        return { overflow, blinking: rule?.blink === 'true' };
+    }
+
+    drawOverflowMarker(x, y, w, h) {
+        const size = Math.min(10, w, h);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ef4444';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 2]);
+        this.ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+
+        // Warning corner in the top right
+        this.ctx.setLineDash([]);
+        this.ctx.fillStyle = '#ef4444';
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + w - size, y);
+        this.ctx.lineTo(x + w, y);
+        this.ctx.lineTo(x + w, y + size);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.restore();
     }
 
+    // Whether the preview draws the cell (and clicks can hit it)
+    isCellShown(cell, idx) {
+        if (this.hiddenCells.has(idx)) return false;
+        return !(this.disabledCells === 'hidden' && String(cell.enabled) === 'false');
+    }
+
+    // Diagonal hatching over a cell the device will not draw
+    drawDisabledHatch(x, y, w, h) {
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(x, y, w, h);
+        this.ctx.clip();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        this.ctx.fillRect(x, y, w, h);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let d = -h; d < w; d += 8) {
+            this.ctx.moveTo(x + d, y + h);
+            this.ctx.lineTo(x + d + h, y);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Cells are painted in array order, so later cells cover earlier ones
     drawScreen(cells) {
         this.clear();
-        cells.forEach(cell => this.drawCell(cell));
+        this.overflowingCells = [];
+        this.blinkingCells = 0;
+        cells.forEach((cell, idx) => {
+            if (!this.isCellShown(cell, idx)) return;
+            const result = this.drawCell(cell);
+            if (String(cell.enabled) === 'false') {
+                const { x, y, w, h } = this.getCellBounds(cell);
+                this.drawDisabledHatch(x, y, w, h);
+            }
+            if (result.overflow) {
+                this.overflowingCells.push(idx);
+            }
+            if (result.blinking) {
+                this.blinkingCells++;
+            }
+        });
     }
 
-    highlightCell(cells, selectedIndex) {
+    // selected is a cell index or an array of them; handles are only drawn for a single selection
+    highlightCell(cells, selected) {
+        const indices = Array.isArray(selected) ? selected : [selected];
         cells.forEach((cell, idx) => {
             const x = parseInt(cell.posx, 10) || 0;
             const y = parseInt(cell.posy, 10) || 0;
             const w = parseInt(cell.sizex, 10) || 0;
             const h = parseInt(cell.sizey, 10) || 0;
 
-            if (idx !== selectedIndex) {
+            if (!indices.includes(idx)) {
                 // Dim non-selected cells
                 this.ctx.save();
                 this.ctx.globalAlpha = 0.7;
@@ -155,18 +610,138 @@ class CanvasManager {
                 this.ctx.shadowBlur = 10;
                 this.ctx.strokeRect(x + 1.5, y + 1.5, w - 3, h - 3);
                 this.ctx.shadowBlur = 0;
+
+                if (indices.length === 1) {
+                    this.drawResizeHandles(cell);
+                }
+            }
+        });
+    }
+
+    // Rubber-band selection rectangle
+    drawMarquee(rect) {
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 255, 136, 0.12)';
+        this.ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+        this.ctx.strokeStyle = '#00ff88';
+        this.ctx.lineWidth = 1 / this.zoomLevel;
+        this.ctx.setLineDash([4 / this.zoomLevel, 3 / this.zoomLevel]);
+        this.ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.w, rect.h);
+        this.ctx.restore();
+    }
+
+    getCellBounds(cell) {
+        return {
+            x: parseInt(cell.posx, 10) || 0,
+            y: parseInt(cell.posy, 10) || 0,
+            w: parseInt(cell.sizex, 10) || 0,
+            h: parseInt(cell.sizey, 10) || 0
+        };
+    }
+
+    // Handle centre points, named after the edges they move (n, e, s, w)
+    getResizeHandles(cell) {
+        const { x, y, w, h } = this.getCellBounds(cell);
+        const cx = x + w / 2;
+        const cy = y + h / 2;
+        return [
+            { name: 'nw', x: x, y: y },
+            { name: 'n', x: cx, y: y },
+            { name: 'ne', x: x + w, y: y },
+            { name: 'e', x: x + w, y: cy },
+            { name: 'se', x: x + w, y: y + h },
+            { name: 's', x: cx, y: y + h },
+            { name: 'sw', x: x, y: y + h },
+            { name: 'w', x: x, y: cy }
+        ];
+    }
+
+    drawResizeHandles(cell) {
+        // Keep handles the same on-screen size regardless of zoom
+        const size = this.handleSize / this.zoomLevel;
+
+        this.ctx.save();
+        this.ctx.fillStyle = '#00ff88';
+        this.ctx.strokeStyle = '#0a0e1a';
+        this.ctx.lineWidth = 1 / this.zoomLevel;
+        this.getResizeHandles(cell).forEach(handle => {
+            this.ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size);
+            this.ctx.strokeRect(handle.x - size / 2, handle.y - size / 2, size, size);
+        });
+        this.ctx.restore();
+    }
+
+    drawGrid(size) {
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+        this.ctx.lineWidth = 1 / this.zoomLevel;
+        this.ctx.beginPath();
+        for (let x = size; x < this.canvas.width; x += size) {
+            this.ctx.moveTo(x + 0.5, 0);
+            this.ctx.lineTo(x + 0.5, this.canvas.height);
+        }
+        for (let y = size; y < this.canvas.height; y += size) {
+            this.ctx.moveTo(0, y + 0.5);
+            this.ctx.lineTo(this.canvas.width, y + 0.5);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    drawGuides(guides) {
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ff2ec4';
+        this.ctx.lineWidth = 1 / this.zoomLevel;
+        this.ctx.beginPath();
+        guides.forEach(guide => {
+            if (guide.axis === 'x') {
+                this.ctx.moveTo(guide.position, 0);
+                this.ctx.lineTo(guide.position, this.canvas.height);
+            } else {
+                this.ctx.moveTo(0, guide.position);
+                this.ctx.lineTo(this.canvas.width, guide.position);
             }
         });
+        this.ctx.stroke();
+        this.ctx.restore();
     }
 
+    // Outline cells that have layout problems
+    drawIssueMarkers(cells, indices) {
+        this.ctx.save();
+        this.ctx.strokeStyle = '#f59e0b';
+        this.ctx.lineWidth = 2 / this.zoomLevel;
+        this.ctx.setLineDash([4 / this.zoomLevel, 3 / this.zoomLevel]);
+        indices.forEach(idx => {
+            const cell = cells[idx];
+            if (!cell) return;
+            const { x, y, w, h } = this.getCellBounds(cell);
+            this.ctx.strokeRect(x + 1, y + 1, Math.max(0, w - 2), Math.max(0, h - 2));
+        });
+        this.ctx.restore();
+    }
+
+    findHandleAtPosition(x, y, cell) {
+        // Slightly larger hit area than the drawn handle for easier grabbing
+        const tolerance = this.handleSize / this.zoomLevel;
+        const handle = this.getResizeHandles(cell).find(h =>
+            Math.abs(x - h.x) <= tolerance && Math.abs(y - h.y) <= tolerance
+        );
+        return handle ? handle.name : null;
+    }
+
+    // Topmost shown cell under the point, or -1
     findCellAtPosition(x, y, cells) {
-        return cells.findIndex(cell => {
+        for (let idx = cells.length - 1; idx >= 0; idx--) {
+            const cell = cells[idx];
+            if (!this.isCellShown(cell, idx)) continue;
             const px = parseInt(cell.posx, 10) || 0;
             const py = parseInt(cell.posy, 10) || 0;
             const w = parseInt(cell.sizex, 10) || 0;
             const h = parseInt(cell.sizey, 10) || 0;
-            return x >= px && x <= px + w && y >= py && y <= py + h;
-        });
+            if (x >= px && x <= px + w && y >= py && y <= py + h) return idx;
+        }
+        return -1;
     }
 }
 
@@ -174,75 +749,165 @@ class CanvasManager {
 // WebSocket Manager
 // ============================================================================
 
+/**
+ * "192.168.4.1", "http://dpfmon.local" or "ws://host:81/live" -> WebSocket URL.
+ * Empty means the host that served the page. The path defaults to /ws.
+ * Returns null when the text is not a usable address.
+ */
+function normalizeWebSocketUrl(text) {
+    const pageProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    let address = String(text || '').trim();
+    if (!address) {
+        return `${pageProtocol}//${window.location.host}/ws`;
+    }
+
+    if (/^https?:\/\//i.test(address)) {
+        address = address.replace(/^http/i, 'ws');
+    } else if (!/^wss?:\/\//i.test(address)) {
+        address = `${pageProtocol}//${address}`;
+    }
+
+    try {
+        const url = new URL(address);
+        if (url.pathname === '/' && !/\/$/.test(address)) {
+            url.pathname = '/ws';
+        }
+        return url.href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Commands the editor can send over the live WebSocket. Each request gets a
+ * reply carrying the same id:
+ *
+ *   -> { "type": "command", "id": 7, "command": "set_screen", "params": { "screen": "SCREEN_2" } }
+ *   <- { "type": "response", "id": 7, "ok": true, "result": { "screen": "SCREEN_2" } }
+ *   <- { "type": "response", "id": 7, "ok": false, "error": "Unknown screen SCREEN_12" }
+ *
+ * Everything without "type": "response" is a live data frame.
+ */
+const DEVICE_COMMANDS = {
+    set_screen: 'Show a screen on the display: { screen } -> { screen }',
+    set_brightness: 'Set the backlight until the next restart: { intensity: 0-10 } -> { intensity }',
+    read_pid: 'Request one data key from the ECU now: { key } -> { key, value, str_value, valid }',
+    regen_status: 'DPF regeneration state: {} -> { active, soot, distance, minutes }'
+};
+
 class WebSocketManager {
     constructor() {
         this.ws = null;
+        this.address = localStorage.getItem('liveDeviceAddress') || ''; // Empty: the page's own host
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 2000; // 2 seconds
+        this.unlimitedRetries = localStorage.getItem('liveUnlimitedRetries') === 'true';
+        this.reconnectDelay = 1000; // First retry after ~1 s, doubling up to maxReconnectDelay
+        this.maxReconnectDelay = 30000;
+        this.reconnectTimer = null;
         this.messageCallback = null;
         this.statusCallback = null;
+        this.staleCallback = null;
         this.messageCount = 0;
         this.lastMessageTime = null;
+        this.openedAt = null;
+        this.messageIntervals = []; // Recent gaps between messages, for stale detection
+        this.heartbeatTimer = null;
+        this.stale = false;
         this.shouldReconnect = false;
+        this.nextCommandId = 1;
+        this.pendingCommands = new Map(); // id -> { command, resolve, reject, timer }
+        this.commandTimeout = 5000;
+    }
+
+    getUrl() {
+        return normalizeWebSocketUrl(this.address);
+    }
+
+    // Store a new device address; returns the resulting URL or null if it is not valid
+    setAddress(address) {
+        const url = normalizeWebSocketUrl(address);
+        if (!url) return null;
+        this.address = String(address || '').trim();
+        localStorage.setItem('liveDeviceAddress', this.address);
+        return url;
+    }
+
+    setUnlimitedRetries(enabled) {
+        this.unlimitedRetries = enabled;
+        localStorage.setItem('liveUnlimitedRetries', String(enabled));
     }
 
     connect() {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) {
             console.log('WebSocket already connected');
             return;
         }
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
 
-        // Auto-detect protocol (ws:// or wss://)
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//${window.location.host}/ws`;
-
+        const wsUrl = this.getUrl();
         this.updateStatus('connecting', 'Connecting to ' + wsUrl + '...');
 
         try {
-            this.ws = new WebSocket(wsUrl);
+            const ws = new WebSocket(wsUrl);
+            this.ws = ws;
             this.shouldReconnect = true;
 
-            this.ws.onopen = (event) => {
+            ws.onopen = (event) => {
                 console.log('WebSocket connected:', event);
                 this.updateStatus('connected', 'Connected - Waiting for data...');
                 this.reconnectAttempts = 0;
+                this.messageIntervals = [];
+                this.openedAt = Date.now();
+                this.startHeartbeat();
             };
 
-            this.ws.onmessage = (event) => {
+            ws.onmessage = (event) => {
                 console.log('WebSocket message received:', event.data);
+                const now = Date.now();
+                if (this.lastMessageTime !== null) {
+                    this.messageIntervals.push(now - this.lastMessageTime);
+                    if (this.messageIntervals.length > 10) this.messageIntervals.shift();
+                }
                 this.messageCount++;
-                this.lastMessageTime = Date.now();
+                this.lastMessageTime = now;
+                this.setStale(false);
 
+                let data;
                 try {
-                    const data = JSON.parse(event.data);
-                    if (this.messageCallback) {
-                        this.messageCallback(data);
-                    }
-                    this.updateStatus('connected', 'Connected - Receiving updates');
+                    data = JSON.parse(event.data);
                 } catch (e) {
                     console.error('Error parsing JSON:', e);
                     this.updateStatus('error', 'Error parsing data: ' + e.message);
+                    return;
+                }
+
+                if (data?.type === 'response') {
+                    this.resolveCommand(data);
+                    return;
                 }
+                if (this.messageCallback) {
+                    this.messageCallback(data);
+                }
+                this.updateStatus('connected', 'Connected - Receiving updates');
             };
 
-            this.ws.onerror = (error) => {
+            ws.onerror = (error) => {
                 console.error('WebSocket error:', error);
                 this.updateStatus('error', 'Connection error');
             };
 
-            this.ws.onclose = (event) => {
+            ws.onclose = (event) => {
                 console.log('WebSocket closed:', event);
+                // A socket replaced by a newer connect() no longer owns the state
+                if (this.ws !== ws) return;
+                this.ws = null;
+                this.stopHeartbeat();
+                this.rejectPendingCommands('Connection closed');
+                this.setStale(false);
                 this.updateStatus('disconnected', 'Disconnected (Code: ' + event.code + ')');
-
-                // Auto-reconnect if enabled and not exceeded max attempts
-                if (this.shouldReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
-                    this.reconnectAttempts++;
-                    setTimeout(() => {
-                        console.log(`Reconnecting... (Attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-                        this.connect();
-                    }, this.reconnectDelay);
-                }
+                this.scheduleReconnect();
             };
         } catch (e) {
             console.error('Error creating WebSocket:', e);
@@ -250,13 +915,160 @@ class WebSocketManager {
         }
     }
 
+    // Exponential backoff with +/-30% jitter, so several editors do not retry in lockstep
+    scheduleReconnect() {
+        if (!this.shouldReconnect) return;
+        if (!this.unlimitedRetries && this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.shouldReconnect = false;
+            this.updateStatus('disconnected', `Gave up after ${this.maxReconnectAttempts} attempts`);
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const backoff = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** (this.reconnectAttempts - 1));
+        const delay = Math.round(backoff * (0.7 + Math.random() * 0.6));
+        const attempt = this.unlimitedRetries
+            ? `attempt ${this.reconnectAttempts}`
+            : `attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`;
+
+        this.updateStatus('reconnecting', `Reconnecting in ${(delay / 1000).toFixed(1)} s (${attempt})`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            console.log(`Reconnecting... (${attempt})`);
+            this.connect();
+        }, delay);
+    }
+
+    // Skip the backoff wait and try now
+    reconnectNow() {
+        this.reconnectAttempts = 0;
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.close();
+        }
+        this.connect();
+    }
+
     disconnect() {
         this.shouldReconnect = false;
-        this.reconnectAttempts = this.maxReconnectAttempts; // Prevent auto-reconnect
+        clearTimeout(this.reconnectTimer);
+        const pending = this.reconnectTimer !== null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.stopHeartbeat();
+        this.setStale(false);
+        this.rejectPendingCommands('Disconnected');
         if (this.ws) {
-            this.ws.close();
+            const ws = this.ws;
             this.ws = null;
+            ws.close();
             this.updateStatus('disconnected', 'Manually disconnected');
+        } else if (pending) {
+            this.updateStatus('disconnected', 'Reconnect cancelled');
+        }
+    }
+
+    isReconnectPending() {
+        return this.reconnectTimer !== null;
+    }
+
+    isConnected() {
+        return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Send one of DEVICE_COMMANDS. Resolves with the device's result, rejects
+     * with its error message, or after timeout ms without a reply.
+     */
+    sendCommand(command, params = {}, timeout = this.commandTimeout) {
+        if (!this.isConnected()) {
+            return Promise.reject(new Error('Not connected to the device'));
+        }
+
+        const id = this.nextCommandId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingCommands.delete(id);
+                reject(new Error(`No reply to ${command} within ${timeout / 1000} s`));
+            }, timeout);
+            this.pendingCommands.set(id, { command, resolve, reject, timer });
+            this.ws.send(JSON.stringify({ type: 'command', id, command, params }));
+        });
+    }
+
+    resolveCommand(response) {
+        const pending = this.pendingCommands.get(response.id);
+        if (!pending) {
+            console.warn('Reply to unknown or expired command:', response.id);
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pendingCommands.delete(response.id);
+        if (response.ok) {
+            pending.resolve(response.result ?? {});
+        } else {
+            pending.reject(new Error(response.error || `${pending.command} failed`));
+        }
+    }
+
+    rejectPendingCommands(reason) {
+        this.pendingCommands.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(new Error(reason));
+        });
+        this.pendingCommands.clear();
+    }
+
+    /**
+     * Data is stale after three typical message gaps (at least 5 s; 30 s until the
+     * rate is known). A socket silent for twice that long is assumed dead - e.g. the
+     * car's WiFi dropped without closing it - and is reconnected.
+     */
+    getStaleTimeout() {
+        if (this.messageIntervals.length === 0) return 30000;
+        const average = this.messageIntervals.reduce((sum, gap) => sum + gap, 0) / this.messageIntervals.length;
+        return Math.max(5000, average * 3);
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => this.checkLiveness(), 1000);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    checkLiveness() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        const since = Math.max(this.lastMessageTime || 0, this.openedAt);
+        const silent = Date.now() - since;
+        const timeout = this.getStaleTimeout();
+
+        if (silent > timeout * 2) {
+            console.warn('WebSocket silent for ' + Math.round(silent / 1000) + ' s - reconnecting');
+            const ws = this.ws;
+            this.ws = null;
+            this.stopHeartbeat();
+            this.rejectPendingCommands('Connection lost');
+            ws.close();
+            this.setStale(false);
+            this.updateStatus('disconnected', `No data for ${Math.round(silent / 1000)} s`);
+            this.scheduleReconnect();
+        } else if (silent > timeout) {
+            this.setStale(true);
+            this.updateStatus('stale', `Connected - no data for ${Math.round(silent / 1000)} s`);
+        }
+    }
+
+    setStale(stale) {
+        if (this.stale === stale) return;
+        this.stale = stale;
+        if (this.staleCallback) {
+            this.staleCallback(stale);
         }
     }
 
@@ -268,6 +1080,10 @@ class WebSocketManager {
         this.statusCallback = callback;
     }
 
+    onStaleChange(callback) {
+        this.staleCallback = callback;
+    }
+
     updateStatus(status, message) {
         if (this.statusCallback) {
             this.statusCallback(status, message);
@@ -283,37 +1099,190 @@ class WebSocketManager {
     }
 }
 
+// ============================================================================
+// Live Data Protocol
+// ============================================================================
+
+/**
+ * Messages the device sends on the live WebSocket, protocol version 1:
+ *
+ *   { "type": "hello", "protocol": 1, "firmware": "1.4.0" }
+ *       First message after connecting. Firmware that skips it is treated as legacy.
+ *   { "type": "frame", "screen": "SCREEN_2", "cells": [cell, ...], "timestamp": 1700000000000 }
+ *       Every cell of the displayed screen. "type", "screen" and "timestamp" are
+ *       optional; cells without position and size take them from the editor's
+ *       layout of that screen, so firmware may send values only.
+ *   { "type": "delta", "cells": [{ "index": 3, "value": 12.5 }, ...] }
+ *       Only the changed fields of changed cells, by index into the last frame.
+ *   { "type": "response", ... }
+ *       Reply to a command, see DEVICE_COMMANDS.
+ *
+ * Cell fields are listed in LIVE_CELL_FIELDS; unknown fields are ignored so
+ * newer firmware can add some without breaking older editors.
+ */
+const LIVE_PROTOCOL_VERSION = 1;
+
+const LIVE_MESSAGE_TYPES = ['hello', 'frame', 'delta', 'response'];
+
+// Field -> accepted JSON types ('numeric' also allows numeric strings, as in config.json)
+const LIVE_CELL_FIELDS = {
+    name: ['string'],
+    data1: ['string'],
+    posx: ['numeric'],
+    posy: ['numeric'],
+    sizex: ['numeric'],
+    sizey: ['numeric'],
+    bg_color: ['string', 'number'],
+    font1_color: ['string', 'number'],
+    value: ['number', 'null'],
+    str_value: ['string', 'null'],
+    decimalPlaces: ['numeric'],
+    enabled: ['boolean'],
+    data1_valid: ['boolean'],
+    rules: ['array']
+};
+
+// Needed in every cell of a full frame
+const LIVE_CELL_REQUIRED = ['data1', 'enabled', 'data1_valid'];
+
+function getLiveFieldType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function isLiveFieldType(value, types) {
+    const type = getLiveFieldType(value);
+    if (types.includes(type)) return true;
+    return types.includes('numeric') && (type === 'number' || (type === 'string' && value.trim() !== '' && Number.isFinite(Number(value))));
+}
+
+/**
+ * Check a message received from the device against the protocol above.
+ * Returns a list of { severity: 'error', path, message }; empty when it is usable.
+ */
+function validateLiveMessage(data) {
+    const problems = [];
+    const error = (path, message) => problems.push({ severity: 'error', path, message });
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        error('', 'Message must be a JSON object');
+        return problems;
+    }
+
+    const type = data.type ?? 'frame';
+    if (!LIVE_MESSAGE_TYPES.includes(type)) {
+        error('type', `Unknown message type "${type}"`);
+        return problems;
+    }
+
+    if (type === 'hello') {
+        if (!Number.isInteger(data.protocol)) error('protocol', 'Protocol version must be a whole number');
+        if (data.firmware !== undefined && typeof data.firmware !== 'string') error('firmware', 'Firmware version must be text');
+        return problems;
+    }
+    if (type === 'response') return problems;
+
+    if (data.timestamp !== undefined && !Number.isFinite(data.timestamp)) {
+        error('timestamp', 'Timestamp must be a number of milliseconds');
+    }
+    if (data.screen !== undefined && !/^SCREEN_\d+$/.test(data.screen)) {
+        error('screen', 'Screen must be a key like SCREEN_1');
+    }
+    if (!Array.isArray(data.cells)) {
+        error('cells', 'Missing cells array');
+        return problems;
+    }
+
+    data.cells.forEach((cell, i) => {
+        const path = `cells[${i}]`;
+        if (cell === null || typeof cell !== 'object' || Array.isArray(cell)) {
+            error(path, 'Cell must be an object');
+            return;
+        }
+
+        if (type === 'delta') {
+            if (!Number.isInteger(cell.index) || cell.index < 0) error(`${path}.index`, 'Delta cells need the index of the cell they change');
+        } else {
+            LIVE_CELL_REQUIRED.forEach(field => {
+                if (cell[field] === undefined) error(`${path}.${field}`, 'Missing field');
+            });
+        }
+
+        Object.entries(LIVE_CELL_FIELDS).forEach(([field, types]) => {
+            const value = cell[field];
+            if (value !== undefined && !isLiveFieldType(value, types)) {
+                const expected = types.map(t => (t === 'numeric' ? 'number' : t)).join(' or ');
+                const got = typeof value === 'string' ? JSON.stringify(value) : getLiveFieldType(value);
+                error(`${path}.${field}`, `Expected ${expected}, got ${got}`);
+            }
+        });
+    });
+    return problems;
+}
+
 // ============================================================================
 // Live Data Manager
 // ============================================================================
 
 class LiveDataManager {
-    constructor(canvasManager, wsManager) {
+    constructor(canvasManager, wsManager, simulator = null, config = null) {
         this.canvasManager = canvasManager;
         this.wsManager = wsManager;
+        this.simulator = simulator;
+        this.config = config; // Editor config, for cell rules the device does not send
+        this.source = wsManager; // Where frames come from: device, simulator or a replay
+        this.preferredSource = wsManager; // Live source to return to after a replay
+        this.pageActive = false;
+        this.overlayActive = false; // The editor's live overlay keeps the source running off this page
+        this.frameCallbacks = [];
+        this.sourceChangeCallbacks = [];
+        this.connectionCallbacks = [];
         this.currentCells = [];
         this.updateRateWindow = [];
         this.updateRateWindowSize = 10; // Track last 10 messages for rate calculation
+        this.blinkTimer = null;
+        this.connectionStatus = 'disconnected';
+        this.connectionMessage = 'Disconnected';
+        this.stale = false; // Device connected but no data within the expected interval
+        this.handshake = null; // { protocol, firmware, compatible } from the device's hello
+        this.frameCells = []; // All cells of the last full frame, which deltas index into
+        this.clockOffset = null; // Device timestamp minus Date.now(), from the last full frame
+        this.invalidMessages = 0;
+        this.deviceScreen = null; // Screen the source says it is showing
+        this.viewScreen = null; // Screen picked in the strip; null follows the device
+        this.latestValues = new Map(); // data1 -> latest value fields, for screens not on the device
     }
 
     initialize() {
-        // Setup WebSocket callbacks
-        this.wsManager.onMessage((data) => this.handleLiveData(data));
-        this.wsManager.onStatusChange((status, message) => this.updateConnectionUI(status, message));
+        // Setup WebSocket and simulator callbacks; both feed the same path
+        this.addSource(this.wsManager);
+        this.wsManager.onStaleChange((stale) => this.setStale(stale));
+        if (this.simulator) {
+            this.addSource(this.simulator);
+            if (localStorage.getItem('liveSimulator') === 'true') {
+                this.source = this.preferredSource = this.simulator;
+            }
+        }
 
         // Setup event listeners
         this.setupEventListeners();
 
         // Initialize UI
         this.updateStatistics();
+        this.updateConnectionButtons(this.connectionStatus);
     }
 
     setupEventListeners() {
-        // Connect button
+        // Connect button; skips the backoff wait while the device is being retried
         const connectBtn = document.getElementById('connectButton');
         if (connectBtn) {
             connectBtn.addEventListener('click', () => {
-                this.wsManager.connect();
+                if (this.source === this.wsManager && ['reconnecting', 'stale'].includes(this.connectionStatus)) {
+                    this.wsManager.reconnectNow();
+                } else {
+                    this.source.connect();
+                }
             });
         }
 
@@ -321,21 +1290,92 @@ class LiveDataManager {
         const disconnectBtn = document.getElementById('disconnectButton');
         if (disconnectBtn) {
             disconnectBtn.addEventListener('click', () => {
-                this.wsManager.disconnect();
+                this.source.disconnect();
             });
         }
 
-        // Zoom controls
-        const liveZoomIn = document.getElementById('liveZoomIn');
-        if (liveZoomIn) {
-            liveZoomIn.addEventListener('click', () => {
-                const newZoom = this.canvasManager.zoomIn();
-                this.updateZoomDisplay(newZoom);
+        // Device address; empty uses the host that served the page
+        const wsAddress = document.getElementById('wsAddress');
+        const wsAddressApply = document.getElementById('wsAddressApply');
+        if (wsAddress) {
+            wsAddress.value = this.wsManager.address;
+            wsAddress.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.applyDeviceAddress(wsAddress.value);
             });
         }
+        if (wsAddressApply) {
+            wsAddressApply.addEventListener('click', () => this.applyDeviceAddress(wsAddress.value));
+        }
 
-        const liveZoomOut = document.getElementById('liveZoomOut');
-        if (liveZoomOut) {
+        const wsUnlimitedRetries = document.getElementById('wsUnlimitedRetries');
+        if (wsUnlimitedRetries) {
+            wsUnlimitedRetries.checked = this.wsManager.unlimitedRetries;
+            wsUnlimitedRetries.addEventListener('change', (e) => {
+                this.wsManager.setUnlimitedRetries(e.target.checked);
+            });
+        }
+
+        // Screen strip: pick a screen to view, or follow the device
+        const screenStrip = document.getElementById('liveScreenStrip');
+        if (screenStrip) {
+            screenStrip.addEventListener('click', (e) => {
+                const thumb = e.target.closest('.live-screen-thumb');
+                if (thumb) this.setViewScreen(thumb.dataset.screen);
+            });
+        }
+
+        const followDevice = document.getElementById('liveFollowDevice');
+        if (followDevice) {
+            followDevice.addEventListener('change', (e) => {
+                const fallback = this.deviceScreen || this.config?.getScreenKeys()[0] || null;
+                this.setViewScreen(e.target.checked ? null : fallback);
+            });
+        }
+
+        // Simulator controls
+        const simulatorToggle = document.getElementById('simulatorToggle');
+        if (simulatorToggle) {
+            simulatorToggle.checked = this.source === this.simulator;
+            simulatorToggle.addEventListener('change', (e) => {
+                this.setSimulated(e.target.checked);
+            });
+        }
+
+        const simulatorScreen = document.getElementById('simulatorScreen');
+        if (simulatorScreen) {
+            simulatorScreen.addEventListener('change', (e) => {
+                this.simulator.setScreen(e.target.value);
+                if (this.simulator.isRunning()) this.simulator.tick();
+            });
+        }
+
+        const simulatorSpeed = document.getElementById('simulatorSpeed');
+        if (simulatorSpeed) {
+            simulatorSpeed.addEventListener('change', (e) => {
+                this.simulator.setSpeed(parseFloat(e.target.value));
+            });
+        }
+
+        const simulatorReset = document.getElementById('simulatorReset');
+        if (simulatorReset) {
+            simulatorReset.addEventListener('click', () => {
+                this.simulator.reset();
+                if (this.simulator.isRunning()) this.simulator.tick();
+            });
+        }
+        this.updateSimulatorControls();
+
+        // Zoom controls
+        const liveZoomIn = document.getElementById('liveZoomIn');
+        if (liveZoomIn) {
+            liveZoomIn.addEventListener('click', () => {
+                const newZoom = this.canvasManager.zoomIn();
+                this.updateZoomDisplay(newZoom);
+            });
+        }
+
+        const liveZoomOut = document.getElementById('liveZoomOut');
+        if (liveZoomOut) {
             liveZoomOut.addEventListener('click', () => {
                 const newZoom = this.canvasManager.zoomOut();
                 this.updateZoomDisplay(newZoom);
@@ -351,18 +1391,98 @@ class LiveDataManager {
         }
     }
 
-    handleLiveData(data) {
+    // Point the WebSocket at another device and reconnect if it is in use
+    applyDeviceAddress(address) {
+        const url = this.wsManager.setAddress(address);
+        if (!url) {
+            this.updateConnectionUI(this.connectionStatus, 'Invalid device address: ' + address);
+            return;
+        }
+
+        if (this.source === this.wsManager && this.pageActive) {
+            this.wsManager.disconnect();
+            this.wsManager.connect();
+        } else {
+            this.updateConnectionUI(this.connectionStatus, 'Device address set to ' + url);
+        }
+    }
+
+    // Route a source's frames and status into this page
+    addSource(source) {
+        source.onMessage((data) => this.handleLiveData(data, source));
+        source.onStatusChange((status, message) => {
+            // Every new connection starts with its own handshake
+            if (status === 'connecting' && source === this.source) this.resetProtocol();
+            this.updateConnectionUI(status, message);
+        });
+    }
+
+    // Called with (data, source) for every valid frame, e.g. for recording and charts
+    onFrame(callback) {
+        this.frameCallbacks.push(callback);
+    }
+
+    onSourceChange(callback) {
+        this.sourceChangeCallbacks.push(callback);
+    }
+
+    // Called with (status, message) of whichever source is feeding the page
+    onConnectionChange(callback) {
+        this.connectionCallbacks.push(callback);
+    }
+
+    handleLiveData(data, source = this.source) {
+        // Ignore stragglers from a source that was just switched away from
+        if (source !== this.source) return;
+
         // Validate data structure
-        if (!data.cells || !Array.isArray(data.cells)) {
-            console.warn('Invalid data format: missing cells array');
+        const problems = validateLiveMessage(data);
+        if (problems.length > 0) {
+            console.warn('Invalid live message:', problems);
+            this.invalidMessages++;
+            this.showProtocolError(problems[0], problems.length);
+            this.updateStatistics();
+            return;
+        }
+
+        if (data.type === 'hello') {
+            this.handleHello(data);
             return;
         }
+        // Frames from firmware speaking another protocol version cannot be trusted
+        if (this.handshake && !this.handshake.compatible) return;
+
+        const isDelta = data.type === 'delta';
+        if (isDelta) {
+            const cells = this.applyDelta(data.cells);
+            if (!cells) {
+                this.invalidMessages++;
+                this.updateStatistics();
+                return;
+            }
+            // Stamp untimed deltas on the device's clock, so charts and recordings see time move forward
+            const timestamp = data.timestamp ?? (this.clockOffset !== null ? Date.now() + this.clockOffset : undefined);
+            data = { ...data, type: 'frame', cells, ...(timestamp !== undefined && { timestamp }) };
+        } else if (!this.handshake && source === this.wsManager && this.frameCells.length === 0) {
+            this.showDeviceInfo('Legacy firmware (no protocol handshake)');
+        }
+
+        this.showProtocolError(null);
+        if (!isDelta && typeof data.timestamp === 'number') {
+            this.clockOffset = data.timestamp - Date.now();
+        }
+        this.frameCells = data.cells;
+        // Deltas stay on the screen of their frame; legacy firmware never names it
+        this.deviceScreen = data.screen || (isDelta && this.deviceScreen) || this.findScreenFor(data.cells);
 
         // Filter enabled cells only
-        this.currentCells = data.cells.filter(cell => cell.enabled);
+        const cells = this.withLayout(data.cells, this.deviceScreen);
+        this.currentCells = cells.filter(cell => cell.enabled);
+        this.rememberValues(cells);
 
         // Update canvas
         this.drawLiveCells();
+        this.drawScreenStrip();
 
         // Update statistics
         this.updateStatistics();
@@ -373,8 +1493,11 @@ class LiveDataManager {
         const lastUpdateEl = document.getElementById('lastUpdateTime');
         if (lastUpdateEl) {
             lastUpdateEl.textContent = 'Last update: ' + timeStr;
+            lastUpdateEl.classList.remove('stale');
         }
 
+        this.frameCallbacks.forEach(callback => callback(data, source));
+
         // Track update rate
         this.updateRateWindow.push(Date.now());
         if (this.updateRateWindow.length > this.updateRateWindowSize) {
@@ -382,60 +1505,278 @@ class LiveDataManager {
         }
     }
 
+    handleHello(data) {
+        const compatible = data.protocol === LIVE_PROTOCOL_VERSION;
+        this.handshake = { protocol: data.protocol, firmware: data.firmware || '', compatible };
+        this.showDeviceInfo(`Firmware ${data.firmware || 'unknown'} · protocol v${data.protocol}`);
+
+        if (compatible) {
+            this.showProtocolError(null);
+            return;
+        }
+        const update = data.protocol > LIVE_PROTOCOL_VERSION ? 'update the editor' : 'update the device firmware';
+        this.showProtocolError({
+            severity: 'error',
+            path: 'protocol',
+            message: `Device speaks live protocol v${data.protocol}, this editor v${LIVE_PROTOCOL_VERSION} - ${update}. Live data is ignored.`
+        });
+    }
+
+    // Full cell list after applying a delta to the last frame, or null if it does not fit
+    applyDelta(changes) {
+        if (this.frameCells.length === 0) {
+            this.showProtocolError({ severity: 'error', path: 'type', message: 'Delta received before a full frame - waiting for one' });
+            return null;
+        }
+
+        const cells = this.frameCells.slice();
+        for (const { index, ...fields } of changes) {
+            if (index >= cells.length) {
+                this.showProtocolError({ severity: 'error', path: 'cells.index', message: `Delta for cell ${index}, but the last frame has ${cells.length}` });
+                return null;
+            }
+            cells[index] = { ...cells[index], ...fields };
+        }
+        return cells;
+    }
+
+    // Forget the handshake and last frame, e.g. on reconnect or source change
+    resetProtocol() {
+        this.handshake = null;
+        this.frameCells = [];
+        this.clockOffset = null;
+        this.deviceScreen = null;
+        this.showProtocolError(null);
+        this.showDeviceInfo('');
+    }
+
+    showDeviceInfo(text) {
+        const deviceInfo = document.getElementById('deviceInfo');
+        if (deviceInfo) {
+            deviceInfo.textContent = text;
+            deviceInfo.classList.toggle('hidden', !text);
+        }
+    }
+
+    // Show the first problem of a rejected message under the canvas; null hides it
+    showProtocolError(problem, count = 1) {
+        const errorEl = document.getElementById('liveProtocolError');
+        if (!errorEl) return;
+
+        if (!problem) {
+            errorEl.classList.add('hidden');
+            return;
+        }
+        const more = count > 1 ? ` (+${count - 1} more)` : '';
+        errorEl.innerHTML = `
+            <span class="problem-severity">${problem.severity}</span>
+            ${problem.path ? `<code class="problem-path">${escapeHtml(problem.path)}</code>` : ''}
+            <span class="problem-message">${escapeHtml(problem.message + more)}</span>
+        `;
+        errorEl.classList.remove('hidden');
+    }
+
+    // Config screen whose data sources match a frame, for firmware that does not name it
+    findScreenFor(cells) {
+        if (!this.config?.data) return null;
+        const keys = cells.map(cell => cell.data1).join('|');
+        return this.config.getScreenKeys().find(screenKey =>
+            this.config.getScreen(screenKey).map(cell => cell.data1).join('|') === keys) || null;
+    }
+
+    // Fill in position, size and style the device left out from the editor's layout
+    withLayout(cells, screenKey) {
+        if (!this.config?.data) return cells;
+        const layout = screenKey ? this.config.getScreen(screenKey) : [];
+
+        return cells.map((cell, i) => {
+            if (['posx', 'posy', 'sizex', 'sizey'].every(field => cell[field] !== undefined)) return cell;
+            const configCell = layout[i]?.data1 === cell.data1 ? layout[i] : layout.find(c => c.data1 === cell.data1);
+            return configCell ? { ...configCellToLive(configCell), ...cell } : cell;
+        });
+    }
+
+    rememberValues(cells) {
+        cells.forEach(cell => {
+            if (!cell.data1) return;
+            this.latestValues.set(cell.data1, {
+                value: cell.value,
+                str_value: cell.str_value,
+                data1_valid: cell.data1_valid
+            });
+        });
+    }
+
+    // Latest value seen for a data source, as getLiveValue returns it
+    getLatestValue(data1) {
+        const latest = this.latestValues.get(data1);
+        return latest ? this.getLiveValue(latest) : null;
+    }
+
+    // A config screen filled with the latest value seen for each data source
+    getScreenWithValues(screenKey) {
+        return this.config.getScreen(screenKey).map(cell => ({
+            ...configCellToLive(cell),
+            ...this.latestValues.get(cell.data1)
+        }));
+    }
+
+    // What the main canvas shows: the device's frame, or the screen picked in the strip
+    getDisplayedCells() {
+        if (this.viewScreen && this.config?.data?.[this.viewScreen]) {
+            return this.getScreenWithValues(this.viewScreen).filter(cell => cell.enabled);
+        }
+        return this.currentCells;
+    }
+
     drawLiveCells() {
         // Clear canvas
         this.canvasManager.clear();
 
         // Draw each enabled cell
-        this.currentCells.forEach(cell => {
-            this.drawLiveCell(cell);
+        let blinking = 0;
+        this.getDisplayedCells().forEach(cell => {
+            if (this.drawLiveCell(cell).blinking) blinking++;
         });
+        this.updateBlinkTimer(blinking);
     }
 
-    drawLiveCell(cell) {
-        const ctx = this.canvasManager.ctx;
+    // One thumbnail per configured screen, rebuilt when the screens change
+    populateScreenStrip() {
+        const strip = document.getElementById('liveScreenStrip');
+        if (!strip || !this.config?.data) return;
+
+        strip.innerHTML = '';
+        this.config.getScreenKeys().forEach(screenKey => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'live-screen-thumb';
+            button.dataset.screen = screenKey;
+            button.title = `Show ${formatScreenLabel(this.config.data, screenKey)} with the latest values`;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = this.canvasManager.canvas.width;
+            canvas.height = this.canvasManager.canvas.height;
+            const label = document.createElement('span');
+            label.textContent = screenKey;
+
+            button.append(canvas, label);
+            strip.appendChild(button);
+        });
+        this.drawScreenStrip();
+    }
+
+    drawScreenStrip() {
+        const strip = document.getElementById('liveScreenStrip');
+        if (!strip || !this.config?.data) return;
+
+        const shown = this.viewScreen || this.deviceScreen;
+        strip.querySelectorAll('.live-screen-thumb').forEach(button => {
+            const screenKey = button.dataset.screen;
+            if (!this.config.data[screenKey]) return;
+
+            const canvas = button.querySelector('canvas');
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            this.getScreenWithValues(screenKey)
+                .filter(cell => cell.enabled)
+                .forEach(cell => this.drawLiveCell(cell, ctx));
+
+            button.classList.toggle('active', screenKey === shown);
+            button.classList.toggle('on-device', screenKey === this.deviceScreen);
+        });
+    }
+
+    // Pick a screen to view; null follows whatever the device shows
+    setViewScreen(screenKey) {
+        this.viewScreen = screenKey;
+        const follow = document.getElementById('liveFollowDevice');
+        if (follow) follow.checked = screenKey === null;
+        this.drawLiveCells();
+        this.drawScreenStrip();
+    }
+
+    // Dim the last values while the device is silent, so they are not mistaken for current ones
+    setStale(stale) {
+        this.stale = stale;
+
+        const lastUpdateEl = document.getElementById('lastUpdateTime');
+        if (lastUpdateEl) {
+            lastUpdateEl.classList.toggle('stale', stale);
+        }
 
+        if (this.currentCells.length > 0) {
+            this.drawLiveCells();
+        }
+    }
+
+    // Toggle blinking rules between their colours and the cell's own
+    updateBlinkTimer(blinking) {
+        if (blinking > 0 && !this.blinkTimer) {
+            this.blinkTimer = setInterval(() => {
+                this.canvasManager.blinkOn = !this.canvasManager.blinkOn;
+                this.drawLiveCells();
+            }, 500);
+        } else if (blinking === 0 && this.blinkTimer) {
+            clearInterval(this.blinkTimer);
+            this.blinkTimer = null;
+            this.canvasManager.blinkOn = true;
+        }
+    }
+
+    // Rules sent with the cell, or those of the matching cell in the editor config
+    getCellRules(cell) {
+        if (Array.isArray(cell.rules)) return cell.rules;
+        if (!this.config) return null;
+
+        for (const screenKey of this.config.getScreenKeys()) {
+            const match = this.config.getScreen(screenKey).find(c => c.data1 === cell.data1 && c.name === cell.name);
+            if (match) return match.rules || null;
+        }
+        return null;
+    }
+
+    // Value the rules are checked against: text for string PIDs, otherwise the number
+    getLiveValue(cell) {
+        if (!cell.data1_valid) return null;
+        if (cell.str_value !== undefined && cell.str_value !== null && cell.str_value !== '') return cell.str_value;
+        return typeof cell.value === 'number' ? cell.value : null;
+    }
+
+    drawLiveCell(cell, ctx = this.canvasManager.ctx) {
         // Parse position and size
         const px = parseInt(cell.posx, 10) || 0;
         const py = parseInt(cell.posy, 10) || 0;
         const w = parseInt(cell.sizex, 10) || 0;
         const h = parseInt(cell.sizey, 10) || 0;
 
+        // Colours of the first matching rule replace the cell's own
+        const rule = matchCellRule(this.getCellRules(cell), this.getLiveValue(cell));
+        const colors = getCellRuleColors(cell, rule, this.canvasManager.blinkOn);
+
         // Parse colors - handle both string and numeric formats
         // Remove # or 0x prefix before parsing
         let bg, fg;
-        if (typeof cell.bg_color === 'string') {
-            const bgHex = cell.bg_color.replace(/^(#|0x)/i, '');
+        if (typeof colors.bg_color === 'string') {
+            const bgHex = colors.bg_color.replace(/^(#|0x)/i, '');
             bg = parseInt(bgHex, 16);
             if (isNaN(bg)) bg = 0;
         } else {
-            bg = cell.bg_color || 0;
+            bg = colors.bg_color || 0;
         }
 
-        if (typeof cell.font1_color === 'string') {
-            const fgHex = cell.font1_color.replace(/^(#|0x)/i, '');
+        if (typeof colors.font1_color === 'string') {
+            const fgHex = colors.font1_color.replace(/^(#|0x)/i, '');
             fg = parseInt(fgHex, 16);
             if (isNaN(fg)) fg = 0xFFFF;
         } else {
-            fg = cell.font1_color || 0xFFFF;
+            fg = colors.font1_color || 0xFFFF;
         }
 
         // Convert RGB565 colors to RGB888
         const bgColor = rgb565ToRgb888(bg);
         const fgColor = rgb565ToRgb888(fg);
 
-        // Debug logging for first few cells
-        if (this.currentCells.indexOf(cell) < 2) {
-            console.log('Cell:', cell.name, {
-                bg_color_raw: cell.bg_color,
-                font1_color_raw: cell.font1_color,
-                bg_rgb565: bg.toString(16),
-                fg_rgb565: fg.toString(16),
-                bg_rgb888: '#' + bgColor.toString(16).padStart(6, '0'),
-                fg_rgb888: '#' + fgColor.toString(16).padStart(6, '0')
-            });
-        }
-
         // Draw background rectangle
         ctx.fillStyle = '#' + bgColor.toString(16).padStart(6, '0');
         ctx.fillRect(px, py, w, h);
@@ -474,27 +1815,111 @@ class LiveDataManager {
             ctx.fillText(displayValue, px + w / 2, valueY);
         }
 
+        if (rule?.icon) {
+            const size = Math.max(8, Math.min(16, Math.floor(h / 3)));
+            drawRuleIcon(ctx, rule.icon, px + w - size - 3, py + 3, size);
+        }
+
         // Draw red border if data is invalid
         if (!cell.data1_valid) {
             ctx.strokeStyle = '#ef4444';
             ctx.lineWidth = 2;
             ctx.strokeRect(px, py, w, h);
         }
+
+        // Stale data: grey the cell out behind a dashed amber border
+        if (this.stale) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(px, py, w, h);
+            ctx.strokeStyle = '#f59e0b';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(px + 0.5, py + 0.5, w - 1, h - 1);
+            ctx.setLineDash([]);
+        }
+
+        return { blinking: rule?.blink === 'true' && !this.stale };
+    }
+
+    // Switch between the device WebSocket and the offline simulator
+    setSimulated(enabled) {
+        if (!this.simulator) return;
+        this.preferredSource = enabled ? this.simulator : this.wsManager;
+        localStorage.setItem('liveSimulator', String(enabled));
+        this.useSource(this.preferredSource);
+    }
+
+    // Make source the one feeding the canvas; connect it right away if asked
+    useSource(source, connect = this.pageActive || this.overlayActive) {
+        if (source === this.source) return;
+
+        this.source.disconnect();
+        this.source = source;
+
+        this.currentCells = [];
+        this.updateRateWindow = [];
+        this.invalidMessages = 0;
+        this.resetProtocol();
+        this.latestValues.clear();
+        this.updateBlinkTimer(0);
+        this.canvasManager.clear();
+        this.drawScreenStrip();
+        this.updateStatistics();
+        this.updateSimulatorControls();
+        this.sourceChangeCallbacks.forEach(callback => callback(source));
+
+        if (connect) {
+            this.source.connect();
+        }
+    }
+
+    // Back to the device or simulator after a replay
+    restoreSource() {
+        this.useSource(this.preferredSource);
+    }
+
+    updateSimulatorControls() {
+        const simulated = this.preferredSource === this.simulator;
+        ['simulatorScreen', 'simulatorSpeed', 'simulatorReset'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = !simulated;
+        });
+    }
+
+    // Screens the simulator can play, keeping the current choice when it still exists
+    populateSimulatorScreens() {
+        const select = document.getElementById('simulatorScreen');
+        if (!select || !this.simulator) return;
+
+        const screenKeys = this.simulator.config.getScreenKeys();
+        select.innerHTML = '';
+        screenKeys.forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            select.appendChild(option);
+        });
+        select.value = this.simulator.getScreenKey() || '';
+        this.simulator.setScreen(select.value);
     }
 
     updateConnectionUI(status, message) {
+        this.connectionStatus = status;
+        this.connectionMessage = message;
         const statusIndicator = document.getElementById('statusIndicator');
         const wsStatusText = document.getElementById('wsStatusText');
 
         if (statusIndicator) {
             // Remove all status classes
-            statusIndicator.classList.remove('connected', 'connecting', 'disconnected');
+            statusIndicator.classList.remove('connected', 'connecting', 'disconnected', 'stale');
 
             // Add appropriate class based on status
             if (status === 'connected') {
                 statusIndicator.classList.add('connected');
-            } else if (status === 'connecting') {
+            } else if (status === 'connecting' || status === 'reconnecting') {
                 statusIndicator.classList.add('connecting');
+            } else if (status === 'stale') {
+                statusIndicator.classList.add('stale');
             }
             // Default is disconnected (red)
         }
@@ -502,13 +1927,40 @@ class LiveDataManager {
         if (wsStatusText) {
             wsStatusText.textContent = message;
         }
+
+        this.updateConnectionButtons(status);
+        this.connectionCallbacks.forEach(callback => callback(status, message));
+    }
+
+    // Connect turns into "Reconnect now" while a retry is waiting or the data has gone stale
+    updateConnectionButtons(status) {
+        const connectBtn = document.getElementById('connectButton');
+        const connectLabel = document.getElementById('connectButtonLabel');
+        const disconnectBtn = document.getElementById('disconnectButton');
+        const retrying = status === 'reconnecting' || status === 'stale';
+        const active = retrying || status === 'connected' || status === 'connecting';
+
+        if (connectBtn) {
+            connectBtn.disabled = status === 'connected' || status === 'connecting';
+        }
+        if (connectLabel) {
+            connectLabel.textContent = retrying ? 'Reconnect now' : 'Connect';
+        }
+        if (disconnectBtn) {
+            disconnectBtn.disabled = !active;
+        }
     }
 
     updateStatistics() {
         // Update messages received
         const msgCountEl = document.getElementById('statMessagesReceived');
         if (msgCountEl) {
-            msgCountEl.textContent = this.wsManager.getMessageCount();
+            msgCountEl.textContent = this.source.getMessageCount();
+        }
+
+        const invalidEl = document.getElementById('statInvalidMessages');
+        if (invalidEl) {
+            invalidEl.textContent = this.invalidMessages;
         }
 
         // Update active cells count
@@ -550,126 +2002,2609 @@ class LiveDataManager {
 
     // Called when user navigates to Live Data page
     onPageEnter() {
-        console.log('Live Data page entered - connecting to WebSocket');
-        this.wsManager.connect();
+        this.pageActive = true;
+        this.populateSimulatorScreens();
+        this.populateScreenStrip();
+        if (this.source === this.simulator) {
+            console.log('Live Data page entered - starting simulator');
+        } else {
+            console.log('Live Data page entered - connecting to WebSocket');
+        }
+        this.source.connect();
     }
 
     // Called when user navigates away from Live Data page
     onPageLeave() {
-        console.log('Live Data page exited - disconnecting from WebSocket');
-        this.wsManager.disconnect();
+        this.pageActive = false;
+        if (!this.overlayActive) {
+            console.log('Live Data page exited - disconnecting');
+            this.source.disconnect();
+        }
+        this.updateBlinkTimer(0);
+    }
+
+    // Keep the source connected for the editor's live overlay while this page is closed
+    setOverlayActive(active) {
+        this.overlayActive = active;
+        if (this.pageActive) return;
+        if (active) {
+            this.source.connect();
+        } else {
+            this.source.disconnect();
+        }
     }
 }
 
 // ============================================================================
-// Config Manager
+// Config Validation
 // ============================================================================
 
-class ConfigManager {
-    constructor() {
-        this.data = null;
-        this.currentScreen = null;
+// Settings sections and keys the firmware reads
+const SETTINGS_SCHEMA = {
+    CAN_ID: ['ID1'],
+    CAN_SPEED_LIST: ['kbps'],
+    CAN_SPEED: ['kbps'],
+    UPDATE_INTERVAL: ['seconds'],
+    ENGINE_CODES: ['engine_codes_list'],
+    CURRENT_ENGINE: ['engine_type'],
+    POWER: ['minimal_voltage', 'forced_on_duration'],
+    WIFI: ['mode', 'ssid', 'password', 'mdns', 'ap_ssid', 'ap_password'],
+    LCD_BRIGHTNESS: ['type', 'intensity']
+};
+
+// Used when a document has no DATA_TYPES_SCREEN of its own
+const DEFAULT_DATA_TYPES_SCREEN = {
+    enabled: 'boolean', name: 'String', decimals: 'integer', font1: 'String', font1_color: 'hexadecimal',
+    font2: 'String', font2_color: 'hexadecimal', bg_color: 'hexadecimal', sizex: 'integer', sizey: 'integer',
+    posx: 'integer', posy: 'integer', data1: 'command_type'
+};
+
+// Cell properties that are valid but not listed in DATA_TYPES_SCREEN
+const EXTRA_CELL_PROPERTIES = ['type', 'rules'];
+
+// Values the device measures itself rather than requesting over CAN
+const DEVICE_DATA_SOURCES = ['BATT_VOLTAGE', 'AMBIENT_LIGHT', 'PWR_ON'];
+
+/**
+ * Check a configuration document against the structure the firmware expects.
+ * Returns a list of { severity: 'error' | 'warning', path, message }.
+ * Errors make the document unusable; warnings are worth a look but loadable.
+ */
+function validateConfig(doc) {
+    const problems = [];
+    const error = (path, message) => problems.push({ severity: 'error', path, message });
+    const warning = (path, message) => problems.push({ severity: 'warning', path, message });
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(doc)) {
+        error('', 'Configuration must be a JSON object');
+        return problems;
     }
 
-    async load() {
-        try {
-            const response = await fetch('config.json');
-            this.data = await response.json();
-            window.__configData = this.data;
-            return this.data;
-        } catch (error) {
-            console.error('Error loading config:', error);
-            throw error;
+    // Settings sections
+    Object.entries(SETTINGS_SCHEMA).forEach(([section, keys]) => {
+        if (!isObject(doc[section])) {
+            error(section, 'Missing settings section');
+            return;
         }
-    }
+        keys.forEach(key => {
+            if (doc[section][key] === undefined) {
+                warning(`${section}.${key}`, 'Missing setting');
+            }
+        });
+    });
 
-    getScreenKeys() {
-        if (!this.data) return [];
-        return Object.keys(this.data).filter(k => k.startsWith('SCREEN_'));
+    const canSpeeds = String(doc.CAN_SPEED_LIST?.kbps || '').split(',').map(v => v.trim()).filter(Boolean);
+    if (doc.CAN_SPEED?.kbps !== undefined && canSpeeds.length > 0 && !canSpeeds.includes(String(doc.CAN_SPEED.kbps))) {
+        warning('CAN_SPEED.kbps', `${doc.CAN_SPEED.kbps} is not in CAN_SPEED_LIST (${canSpeeds.join(', ')})`);
     }
-
-    getScreen(screenKey) {
-        return this.data ? this.data[screenKey] || [] : [];
+    if (doc.WIFI?.mode !== undefined && !['STA', 'AP', 'AP+STA', 'OFF'].includes(doc.WIFI.mode)) {
+        warning('WIFI.mode', `Unknown WiFi mode "${doc.WIFI.mode}"`);
     }
-
-    updateCell(screenKey, cellIndex, updates) {
-        if (!this.data || !this.data[screenKey]) return;
-        const cell = this.data[screenKey][cellIndex];
-        if (cell) {
-            Object.assign(cell, updates);
-        }
+    if (doc.LCD_BRIGHTNESS?.type !== undefined && !['MANUAL', 'AUTO'].includes(doc.LCD_BRIGHTNESS.type)) {
+        warning('LCD_BRIGHTNESS.type', `Unknown brightness type "${doc.LCD_BRIGHTNESS.type}"`);
     }
-
-    addScreen() {
-        if (!this.data) return null;
-
-        // Find next available screen number
-        const screenKeys = this.getScreenKeys();
-        const screenNumbers = screenKeys.map(k => parseInt(k.replace('SCREEN_', ''))).filter(n => !isNaN(n));
-        const nextNumber = screenNumbers.length > 0 ? Math.max(...screenNumbers) + 1 : 1;
-        const newScreenKey = `SCREEN_${nextNumber}`;
-
-        // Create new empty screen with default cell
-        this.data[newScreenKey] = [{
-            enabled: "true",
-            name: "New Cell",
-            posx: 0,
-            posy: 0,
-            sizex: 100,
-            sizey: 50,
-            bg_color: "#000000",
-            font1_color: "#00ff88",
-            font2_color: "#ffffff",
-            font1: "Font24",
-            font2: "Font16",
-            decimals: 1,
-            data1: ""
-        }];
-
-        return newScreenKey;
+    const intensity = Number(doc.LCD_BRIGHTNESS?.intensity);
+    if (doc.LCD_BRIGHTNESS?.intensity !== undefined && !(Number.isInteger(intensity) && intensity >= 0 && intensity <= 10)) {
+        warning('LCD_BRIGHTNESS.intensity', 'Intensity must be a whole number from 0 to 10');
     }
 
-    deleteScreen(screenKey) {
-        if (!this.data || !this.data[screenKey]) return false;
-        delete this.data[screenKey];
-        return true;
+    // Engine tables
+    const engineCodes = String(doc.ENGINE_CODES?.engine_codes_list || '').split(',').map(v => v.trim()).filter(Boolean);
+    const currentEngine = doc.CURRENT_ENGINE?.engine_type;
+    if (currentEngine !== undefined && !engineCodes.includes(currentEngine)) {
+        error('CURRENT_ENGINE.engine_type', `"${currentEngine}" is not listed in ENGINE_CODES`);
     }
 
-    addCell(screenKey) {
-        if (!this.data || !this.data[screenKey]) return -1;
-
-        const cells = this.data[screenKey];
-        const newCell = {
-            enabled: "true",
-            name: `Cell ${cells.length + 1}`,
-            posx: 0,
-            posy: 0,
-            sizex: 100,
-            sizey: 50,
-            bg_color: "#000000",
-            font1_color: "#00ff88",
-            font2_color: "#ffffff",
-            font1: "Font24",
-            font2: "Font16",
-            decimals: 1,
-            data1: ""
-        };
+    engineCodes.forEach(code => {
+        const table = doc[code];
+        if (!isObject(table)) {
+            error(code, 'Engine listed in ENGINE_CODES has no PID table');
+            return;
+        }
+        Object.keys(table).forEach(key => {
+            if (key.endsWith('_RES')) {
+                if (table[key.slice(0, -4)] === undefined) {
+                    warning(`${code}.${key}`, 'Response formula without a matching request');
+                }
+                const check = checkFormula(table[key]);
+                if (check.error) {
+                    warning(`${code}.${key}`, `Formula error at character ${check.error.position + 1}: ${check.error.message}`);
+                }
+                return;
+            }
+            const bytes = String(table[key]).split(',').map(b => b.trim());
+            if (bytes.length !== 9 || !bytes.every(b => /^0x[0-9a-f]{1,3}$/i.test(b))) {
+                warning(`${code}.${key}`, 'Request should be 9 comma-separated hex values (CAN ID + 8 data bytes)');
+            }
+            if (table[`${key}_RES`] === undefined) {
+                warning(`${code}.${key}`, `Missing response formula ${key}_RES`);
+            }
+        });
+    });
 
-        cells.push(newCell);
-        return cells.length - 1; // Return index of new cell
+    // Screens
+    const dataTypes = isObject(doc.DATA_TYPES_SCREEN) ? doc.DATA_TYPES_SCREEN : DEFAULT_DATA_TYPES_SCREEN;
+    if (!isObject(doc.DATA_TYPES_SCREEN)) {
+        warning('DATA_TYPES_SCREEN', 'Missing; default cell field types assumed');
     }
+    const engineTable = isObject(doc[currentEngine]) ? doc[currentEngine] : null;
+    const screenKeys = Object.keys(doc).filter(k => k.startsWith('SCREEN_'));
 
-    deleteCell(screenKey, cellIndex) {
-        if (!this.data || !this.data[screenKey]) return false;
-        const cells = this.data[screenKey];
-        if (cellIndex < 0 || cellIndex >= cells.length) return false;
-        cells.splice(cellIndex, 1);
-        return true;
+    if (screenKeys.length === 0) {
+        error('', 'No SCREEN_n sections found');
     }
 
-    updateSetting(section, key, value) {
-        if (!this.data || !this.data[section]) return;
-        this.data[section][key] = value;
+    // The device shows SCREEN_1, SCREEN_2, ... and stops at the first missing number
+    const screenNumbers = new Set(screenKeys.filter(k => /^SCREEN_\d+$/.test(k)).map(k => parseInt(k.slice(7), 10)));
+    for (let n = 1; n <= screenNumbers.size; n++) {
+        if (!screenNumbers.has(n)) {
+            warning(`SCREEN_${n}`, 'Missing; the screens after it are not shown by the device');
+            break;
+        }
+    }
+
+    const titles = doc[SCREEN_TITLES_SECTION];
+    if (titles !== undefined) {
+        if (!isObject(titles)) {
+            warning(SCREEN_TITLES_SECTION, 'Screen titles must be an object of SCREEN_n: "title"');
+        } else {
+            Object.entries(titles).forEach(([key, title]) => {
+                if (!screenKeys.includes(key)) {
+                    warning(`${SCREEN_TITLES_SECTION}.${key}`, 'Title for a screen that does not exist');
+                } else if (typeof title !== 'string') {
+                    warning(`${SCREEN_TITLES_SECTION}.${key}`, 'Title must be text');
+                }
+            });
+        }
+    }
+
+    screenKeys.forEach(screenKey => {
+        if (!/^SCREEN_\d+$/.test(screenKey)) {
+            warning(screenKey, 'Screen keys should be SCREEN_ followed by a number');
+        }
+        const cells = doc[screenKey];
+        if (!Array.isArray(cells)) {
+            error(screenKey, 'Screen must be a list of cells');
+            return;
+        }
+        if (cells.length === 0) {
+            warning(screenKey, 'Screen has no cells');
+        }
+
+        cells.forEach((cell, idx) => {
+            const path = `${screenKey}[${idx}]`;
+            if (!isObject(cell)) {
+                error(path, 'Cell must be an object');
+                return;
+            }
+
+            Object.entries(dataTypes).forEach(([key, type]) => {
+                const value = cell[key];
+                if (value === undefined) {
+                    warning(`${path}.${key}`, 'Missing field');
+                    return;
+                }
+                const text = String(value);
+                if (type === 'integer' && !/^-?\d+$/.test(text)) {
+                    error(`${path}.${key}`, `"${text}" is not a whole number`);
+                } else if (type === 'boolean' && text !== 'true' && text !== 'false') {
+                    error(`${path}.${key}`, `"${text}" is not true or false`);
+                } else if (type === 'hexadecimal' && !/^0x[0-9a-f]{1,4}$/i.test(text)) {
+                    error(`${path}.${key}`, `"${text}" is not an RGB565 colour like 0xF800`);
+                } else if (type === 'command_type' && text && engineTable && engineTable[text] === undefined &&
+                    !DEVICE_DATA_SOURCES.includes(text)) {
+                    warning(`${path}.${key}`, `"${text}" is not in the ${currentEngine} PID table`);
+                }
+            });
+
+            Object.keys(cell).forEach(key => {
+                if (dataTypes[key] === undefined && !EXTRA_CELL_PROPERTIES.includes(key)) {
+                    warning(`${path}.${key}`, 'Unknown cell field (ignored by the firmware)');
+                }
+            });
+
+            if (cell.rules !== undefined) {
+                validateCellRules(cell.rules).forEach(message => warning(`${path}.rules`, message));
+            }
+
+            ['font1', 'font2'].forEach(key => {
+                if (cell[key] !== undefined && !FONT_REGISTRY[cell[key]]) {
+                    warning(`${path}.${key}`, `"${cell[key]}" is not a known firmware font`);
+                }
+            });
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Check the cells of one screen for layout mistakes.
+ * options: { width, height, dataSources } - panel size and the valid data1 keys.
+ * Returns a list of { severity, type, cells: [indices], message }.
+ */
+function validateLayout(cells, options) {
+    const issues = [];
+    const { width, height, dataSources } = options;
+    const rects = cells.map(cell => ({
+        x: parseInt(cell.posx, 10) || 0,
+        y: parseInt(cell.posy, 10) || 0,
+        w: parseInt(cell.sizex, 10) || 0,
+        h: parseInt(cell.sizey, 10) || 0,
+        enabled: String(cell.enabled) !== 'false'
+    }));
+    const cellName = (idx) => `"${cells[idx].name || `Cell ${idx + 1}`}"`;
+
+    rects.forEach((r, idx) => {
+        if (r.w <= 0 || r.h <= 0) {
+            issues.push({ severity: 'error', type: 'zero-size', cells: [idx], message: `${cellName(idx)} has zero size (${r.w}×${r.h})` });
+        } else if (r.x < 0 || r.y < 0 || r.x + r.w > width || r.y + r.h > height) {
+            issues.push({
+                severity: 'error', type: 'bounds', cells: [idx],
+                message: `${cellName(idx)} extends outside the ${width}×${height} panel (${r.x},${r.y} to ${r.x + r.w},${r.y + r.h})`
+            });
+        }
+
+        const data1 = cells[idx].data1;
+        if (!data1) {
+            issues.push({ severity: 'warning', type: 'data-source', cells: [idx], message: `${cellName(idx)} has no data source` });
+        } else if (!dataSources.includes(data1)) {
+            issues.push({ severity: 'warning', type: 'data-source', cells: [idx], message: `${cellName(idx)} uses "${data1}", which is not in the current engine table` });
+        }
+    });
+
+    // Overlaps between cells that are actually shown
+    for (let i = 0; i < rects.length; i++) {
+        for (let j = i + 1; j < rects.length; j++) {
+            const a = rects[i];
+            const b = rects[j];
+            if (!a.enabled || !b.enabled) continue;
+            const overlapW = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+            const overlapH = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+            if (overlapW > 0 && overlapH > 0) {
+                issues.push({
+                    severity: 'warning', type: 'overlap', cells: [i, j],
+                    message: `${cellName(i)} overlaps ${cellName(j)} by ${overlapW}×${overlapH}`
+                });
+            }
+        }
+    }
+
+    // Large uncovered areas (small separators between cells are intentional)
+    const covered = new Uint8Array(width * height);
+    rects.forEach(r => {
+        if (!r.enabled) return;
+        for (let y = Math.max(0, r.y); y < Math.min(height, r.y + r.h); y++) {
+            covered.fill(1, y * width + Math.max(0, r.x), y * width + Math.min(width, r.x + r.w));
+        }
+    });
+    const uncovered = 1 - covered.reduce((sum, v) => sum + v, 0) / covered.length;
+    if (uncovered > 0.05) {
+        issues.push({
+            severity: 'info', type: 'gap', cells: [],
+            message: `${Math.round(uncovered * 100)}% of the panel is not covered by any cell`
+        });
+    }
+
+    return issues;
+}
+
+// ============================================================================
+// Cell Rules
+// ============================================================================
+
+/**
+ * Conditional formatting stored on a cell as "rules": an ordered list where the
+ * first matching rule wins. Like other cell fields, values are strings:
+ *   { "when": ">", "value": "600", "bg_color": "0xf800", "font1_color": "0xffff",
+ *     "blink": "true", "icon": "warning", "notify": "true" }
+ * Colours are optional overrides; notify raises a browser alert on live data.
+ */
+const CELL_RULE_OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+const CELL_RULE_ICONS = {
+    warning: 'Warning',
+    alarm: 'Alarm',
+    check: 'OK'
+};
+
+const CELL_RULE_COLORS = ['bg_color', 'font1_color', 'font2_color'];
+
+// Problems with a rules list, as messages for validateConfig
+function validateCellRules(rules) {
+    if (!Array.isArray(rules)) return ['Rules must be a list'];
+
+    const messages = [];
+    rules.forEach((rule, idx) => {
+        const prefix = `Rule ${idx + 1}: `;
+        if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+            messages.push(prefix + 'must be an object');
+            return;
+        }
+        if (!CELL_RULE_OPERATORS[rule.when]) {
+            messages.push(prefix + `unknown comparison "${rule.when}"`);
+        }
+        if (rule.value === undefined || rule.value === '') {
+            messages.push(prefix + 'missing value');
+        }
+        CELL_RULE_COLORS.forEach(key => {
+            if (rule[key] !== undefined && !/^0x[0-9a-f]{1,4}$/i.test(String(rule[key]))) {
+                messages.push(prefix + `"${rule[key]}" is not an RGB565 colour like 0xF800`);
+            }
+        });
+        if (rule.icon !== undefined && !CELL_RULE_ICONS[rule.icon]) {
+            messages.push(prefix + `unknown icon "${rule.icon}"`);
+        }
+    });
+    return messages;
+}
+
+/**
+ * First rule that matches value, or null. Numbers compare numerically; text
+ * values (VIN, engine code) only support == and !=.
+ */
+function matchCellRule(rules, value) {
+    if (!Array.isArray(rules) || value === undefined || value === null || value === '') return null;
+
+    return rules.find(rule => {
+        const compare = CELL_RULE_OPERATORS[rule?.when];
+        if (!compare || rule.value === undefined) return false;
+
+        const number = typeof value === 'number' ? value : Number(value);
+        const threshold = Number(rule.value);
+        if (isFinite(number) && String(rule.value).trim() !== '' && isFinite(threshold)) {
+            return compare(number, threshold);
+        }
+        return (rule.when === '==' || rule.when === '!=') && compare(String(value), String(rule.value));
+    }) || null;
+}
+
+// Colours to draw a cell with: the rule's overrides, unless a blinking rule is in its off phase
+function getCellRuleColors(cell, rule, blinkOn = true) {
+    const colors = { bg_color: cell.bg_color, font1_color: cell.font1_color, font2_color: cell.font2_color };
+    if (!rule || (rule.blink === 'true' && !blinkOn)) return colors;
+
+    CELL_RULE_COLORS.forEach(key => {
+        if (rule[key] !== undefined && rule[key] !== '') colors[key] = rule[key];
+    });
+    return colors;
+}
+
+// Small status icon with its top left at (x, y)
+function drawRuleIcon(ctx, icon, x, y, size) {
+    const cx = x + size / 2;
+    const cy = y + size / 2;
+
+    ctx.save();
+    ctx.lineWidth = Math.max(1, size / 8);
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    if (icon === 'warning') {
+        ctx.fillStyle = '#facc15';
+        ctx.moveTo(cx, y);
+        ctx.lineTo(x + size, y + size);
+        ctx.lineTo(x, y + size);
+    } else {
+        ctx.fillStyle = icon === 'check' ? '#22c55e' : '#ef4444';
+        ctx.arc(cx, cy, size / 2, 0, Math.PI * 2);
+    }
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.strokeStyle = icon === 'warning' ? '#000000' : '#ffffff';
+    ctx.beginPath();
+    if (icon === 'check') {
+        ctx.moveTo(x + size * 0.28, cy);
+        ctx.lineTo(x + size * 0.45, y + size * 0.68);
+        ctx.lineTo(x + size * 0.74, y + size * 0.32);
+    } else {
+        const top = icon === 'warning' ? y + size * 0.4 : y + size * 0.25;
+        ctx.moveTo(cx, top);
+        ctx.lineTo(cx, y + size * 0.62);
+        ctx.moveTo(cx, y + size * 0.8);
+        ctx.lineTo(cx, y + size * 0.8);
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+// ============================================================================
+// Response Formulas
+// ============================================================================
+
+/**
+ * _RES formulas decode a response's data bytes, named A (first) to Z:
+ *   int16(A,B)/100   uint64(A, B, C, D)/1000   (int16(A,B)-2731)/10   string
+ * Grammar: expr := term (('+' | '-') term)*, term := unary (('*' | '/') unary)*,
+ * unary := '-' unary | number | byte | func '(' byte (',' byte)* ')' | '(' expr ')'.
+ * The integer functions join their bytes big-endian; int* are two's complement.
+ */
+const FORMULA_FUNCTIONS = {
+    int8: { bits: 8, signed: true },
+    uint8: { bits: 8, signed: false },
+    int16: { bits: 16, signed: true },
+    uint16: { bits: 16, signed: false },
+    int32: { bits: 32, signed: true },
+    uint32: { bits: 32, signed: false },
+    int64: { bits: 64, signed: true },
+    uint64: { bits: 64, signed: false }
+};
+
+class FormulaError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'FormulaError';
+        this.position = position; // Character offset in the formula text
+    }
+}
+
+function tokenizeFormula(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*\/(),]))/y;
+    let pos = 0;
+
+    while (pos < text.length) {
+        if (/^\s*$/.test(text.slice(pos))) break;
+        pattern.lastIndex = pos;
+        const match = pattern.exec(text);
+        if (!match) {
+            const at = pos + (text.slice(pos).length - text.slice(pos).trimStart().length);
+            throw new FormulaError(`Unexpected character "${text[at]}"`, at);
+        }
+        const value = match[1] || match[2] || match[3];
+        const start = pattern.lastIndex - value.length;
+        if (match[1]) tokens.push({ type: 'number', value: parseFloat(value), pos: start });
+        else if (match[2]) tokens.push({ type: 'name', value: value, pos: start });
+        else tokens.push({ type: value, pos: start });
+        pos = pattern.lastIndex;
+    }
+
+    tokens.push({ type: 'end', pos: text.length });
+    return tokens;
+}
+
+/**
+ * Parse a formula into an AST. Throws FormulaError with the offending position.
+ * Node types: string, number, byte { index }, int { fn, bytes }, neg { arg }, binary { op, left, right }.
+ */
+function parseFormula(text) {
+    text = String(text ?? '');
+    if (text.trim() === 'string') return { type: 'string' };
+    if (text.trim() === '') throw new FormulaError('Formula is empty', 0);
+
+    const tokens = tokenizeFormula(text);
+    let i = 0;
+    const peek = () => tokens[i];
+    const next = () => tokens[i++];
+    const describe = (token) => (token.type === 'end' ? 'end of formula' : `"${token.value ?? token.type}"`);
+    const expect = (type) => {
+        const token = next();
+        if (token.type !== type) throw new FormulaError(`Expected "${type}" but found ${describe(token)}`, token.pos);
+        return token;
+    };
+
+    const parseByte = (token) => {
+        if (token.type !== 'name' || !/^[A-Z]$/.test(token.value)) {
+            throw new FormulaError(`Expected a response byte A-Z but found ${describe(token)}`, token.pos);
+        }
+        return { type: 'byte', index: token.value.charCodeAt(0) - 65 };
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token.type === '-') return { type: 'neg', arg: parsePrimary() };
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === '(') {
+            const inner = parseExpression();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name') {
+            if (token.value === 'string') {
+                throw new FormulaError('"string" must be the whole formula', token.pos);
+            }
+            if (peek().type !== '(') return parseByte(token);
+
+            const fn = FORMULA_FUNCTIONS[token.value];
+            if (!fn) throw new FormulaError(`Unknown function "${token.value}"`, token.pos);
+            next();
+            const bytes = [parseByte(next())];
+            while (peek().type === ',') {
+                next();
+                bytes.push(parseByte(next()));
+            }
+            const close = expect(')');
+            if (bytes.length > fn.bits / 8) {
+                throw new FormulaError(`${token.value} takes at most ${fn.bits / 8} bytes, got ${bytes.length}`, close.pos);
+            }
+            return { type: 'int', fn: token.value, bytes: bytes.map(b => b.index) };
+        }
+        throw new FormulaError(`Unexpected ${describe(token)}`, token.pos);
+    };
+
+    const parseTerm = () => {
+        let node = parsePrimary();
+        while (peek().type === '*' || peek().type === '/') {
+            const op = next().type;
+            node = { type: 'binary', op, left: node, right: parsePrimary() };
+        }
+        return node;
+    };
+
+    const parseExpression = () => {
+        let node = parseTerm();
+        while (peek().type === '+' || peek().type === '-') {
+            const op = next().type;
+            node = { type: 'binary', op, left: node, right: parseTerm() };
+        }
+        return node;
+    };
+
+    const ast = parseExpression();
+    if (peek().type !== 'end') throw new FormulaError(`Unexpected ${describe(peek())}`, peek().pos);
+    return ast;
+}
+
+// { ast, error } without throwing, for inline validation
+function checkFormula(text) {
+    try {
+        return { ast: parseFormula(text), error: null };
+    } catch (error) {
+        if (error instanceof FormulaError) return { ast: null, error };
+        throw error;
+    }
+}
+
+// Number of response bytes the formula reads (highest byte letter + 1)
+function getFormulaByteCount(ast) {
+    switch (ast.type) {
+        case 'byte': return ast.index + 1;
+        case 'int': return Math.max(...ast.bytes) + 1;
+        case 'neg': return getFormulaByteCount(ast.arg);
+        case 'binary': return Math.max(getFormulaByteCount(ast.left), getFormulaByteCount(ast.right));
+        default: return 0;
+    }
+}
+
+/**
+ * Decode response data bytes (array of 0-255, A first) with a parsed formula.
+ * Returns a number, or a string for 'string' formulas. Throws FormulaError when
+ * the formula reads a byte the response does not have.
+ */
+function evaluateFormula(ast, bytes) {
+    const byteAt = (index) => {
+        if (index >= bytes.length) {
+            throw new FormulaError(`Byte ${String.fromCharCode(65 + index)} is not in the response (${bytes.length} byte${bytes.length === 1 ? '' : 's'})`, 0);
+        }
+        return bytes[index];
+    };
+
+    switch (ast.type) {
+        case 'string':
+            return bytes.filter(b => b >= 0x20 && b < 0x7f).map(b => String.fromCharCode(b)).join('');
+        case 'number':
+            return ast.value;
+        case 'byte':
+            return byteAt(ast.index);
+        case 'int': {
+            const fn = FORMULA_FUNCTIONS[ast.fn];
+            let value = 0n;
+            ast.bytes.forEach(index => {
+                value = (value << 8n) | BigInt(byteAt(index));
+            });
+            if (fn.signed && value >= 1n << BigInt(fn.bits - 1) && ast.bytes.length * 8 >= fn.bits) {
+                value -= 1n << BigInt(fn.bits);
+            }
+            return Number(value);
+        }
+        case 'neg':
+            return -evaluateFormula(ast.arg, bytes);
+        case 'binary': {
+            const left = evaluateFormula(ast.left, bytes);
+            const right = evaluateFormula(ast.right, bytes);
+            switch (ast.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                default: return left / right;
+            }
+        }
+        default:
+            throw new FormulaError(`Unknown node "${ast.type}"`, 0);
+    }
+}
+
+// "62 11 4f 01 2c" or "0x01, 0x2C" -> [0x62, 0x11, ...]; null when a token is not a byte
+function parseHexBytes(text) {
+    const tokens = String(text).trim().split(/[\s,;:]+/).filter(Boolean);
+    const bytes = tokens.map(token => (/^(0x)?[0-9a-f]{1,2}$/i.test(token) ? parseInt(token.replace(/^0x/i, ''), 16) : NaN));
+    return bytes.some(isNaN) ? null : bytes;
+}
+
+/**
+ * Inverse of evaluateFormula for the common "scaled integer" formulas: builds
+ * response bytes that decode to (roughly) value. The formula is treated as linear
+ * in its first integer function or byte; raw values are rounded and clamped to
+ * what those bytes can hold. Other bytes are left at zero.
+ */
+function encodeFormulaValue(ast, value) {
+    if (ast.type === 'string') {
+        return Array.from(String(value), ch => ch.charCodeAt(0) & 0x7f);
+    }
+
+    const findInput = (node) => {
+        if (node.type === 'int') return node;
+        if (node.type === 'byte') return { type: 'int', fn: 'uint8', bytes: [node.index] };
+        if (node.type === 'neg') return findInput(node.arg);
+        if (node.type === 'binary') return findInput(node.left) || findInput(node.right);
+        return null;
+    };
+
+    const bytes = new Array(getFormulaByteCount(ast)).fill(0);
+    const input = findInput(ast);
+    if (!input) return bytes;
+
+    const fn = FORMULA_FUNCTIONS[input.fn];
+    const width = input.bytes.length * 8;
+    const signed = fn.signed && width >= fn.bits;
+    const write = (raw) => {
+        let unsigned = BigInt.asUintN(width, BigInt(raw));
+        for (let i = input.bytes.length - 1; i >= 0; i--) {
+            bytes[input.bytes[i]] = Number(unsigned & 0xffn);
+            unsigned >>= 8n;
+        }
+    };
+
+    // Slope and offset of the formula around its input
+    write(0);
+    const offset = evaluateFormula(ast, bytes);
+    write(1);
+    const slope = evaluateFormula(ast, bytes) - offset;
+    if (!slope || !isFinite(slope)) {
+        write(0);
+        return bytes;
+    }
+
+    const min = Math.max(signed ? -(2 ** (width - 1)) : 0, Number.MIN_SAFE_INTEGER);
+    const max = Math.min(signed ? 2 ** (width - 1) - 1 : 2 ** width - 1, Number.MAX_SAFE_INTEGER);
+    write(Math.min(max, Math.max(min, Math.round((value - offset) / slope))));
+    return bytes;
+}
+
+// ============================================================================
+// Engine Data Dictionary
+// ============================================================================
+
+/**
+ * Editor-side metadata for known data keys. Only used for display and defaults;
+ * the firmware never sees it. min/max are typical ranges, not hard limits.
+ */
+const DATA_DICTIONARY = {
+    'SOOT_MAS_CALC': { label: 'Soot calc', description: 'DPF soot mass, calculated by the ECU model', unit: 'g', min: 0, max: 50, decimals: 2 },
+    'SOOT_MAS_MEAS': { label: 'Soot meas', description: 'DPF soot mass, measured from differential pressure', unit: 'g', min: 0, max: 50, decimals: 2 },
+    'DISTANCE': { label: 'Distance', description: 'Distance driven since the last regeneration', unit: 'km', min: 0, max: 1500, decimals: 0 },
+    'TIME_SINCE_REGEN': { label: 'Time since', description: 'Engine running time since the last regeneration', unit: 'min', min: 0, max: 3000, decimals: 0 },
+    'TEMP_DPF_IN': { label: 'Temp in', description: 'Exhaust temperature at the DPF inlet', unit: '°C', min: -40, max: 800, decimals: 0 },
+    'TEMP_DPF_OUT': { label: 'Temp out', description: 'Exhaust temperature at the DPF outlet', unit: '°C', min: -40, max: 800, decimals: 0 },
+    'DIFF_PRESSURE': { label: 'Diff pres', description: 'Pressure drop across the DPF', unit: 'hPa', min: 0, max: 300, decimals: 0 },
+    'POST_INJ_2': { label: 'Post inj2', description: 'Post-injection 2 fuel quantity', unit: 'mg', min: 0, max: 20, decimals: 1 },
+    'POST_INJ_3': { label: 'Post inj3', description: 'Post-injection 3 fuel quantity', unit: 'mg', min: 0, max: 20, decimals: 1 },
+    'VIN': { label: 'VIN', description: 'Vehicle identification number', unit: '', min: null, max: null, decimals: 0 },
+    'VIN2': { label: 'VIN2', description: 'Numeric tail of the vehicle identification number', unit: '', min: null, max: null, decimals: 0 },
+    'ENG_CODE': { label: 'Engine type', description: 'Engine code reported by the ECU', unit: '', min: null, max: null, decimals: 0 },
+    'BATT_VOLTAGE': { label: 'Battery', description: 'Supply voltage measured by the display', unit: 'V', min: 10, max: 15, decimals: 2 },
+    'AMBIENT_LIGHT': { label: 'Ambient light', description: 'Ambient light sensor reading', unit: '%', min: 0, max: 100, decimals: 0 },
+    'PWR_ON': { label: 'Auto power on', description: 'Whether the display switched on automatically', unit: '', min: 0, max: 1, decimals: 0 }
+};
+
+// "SOOT_MAS_CALC" -> "Soot mas calc"
+function dataKeyToName(key) {
+    const words = String(key).toLowerCase().split('_').filter(Boolean);
+    const text = words.join(' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Decimals implied by a _RES formula's final scaling, e.g. ".../100" -> 2
+function getFormulaDecimals(formula) {
+    const match = /\/\s*(10+)\s*$/.exec(formula || '');
+    return match ? match[1].length - 1 : 0;
+}
+
+/**
+ * Metadata for a data key: the dictionary entry if there is one, otherwise
+ * defaults derived from the key name and its _RES formula in engineData.
+ */
+function describeDataSource(key, engineData = {}) {
+    const formula = engineData[`${key}_RES`];
+    const entry = DATA_DICTIONARY[key];
+    const info = entry
+        ? { key, known: true, ...entry }
+        : { key, known: false, label: dataKeyToName(key), description: '', unit: '', min: null, max: null, decimals: getFormulaDecimals(formula) };
+    info.isString = formula === 'string';
+    return info;
+}
+
+// Cell name for a data source, in the "Soot calc (g)" style of the shipped screens
+function formatDataSourceName(info) {
+    return info.unit ? `${info.label} (${info.unit})` : info.label;
+}
+
+// One-line summary for hints and option tooltips: "DPF inlet temperature · °C · -40 to 800"
+function formatDataSourceDetails(info) {
+    const parts = [info.description || info.label];
+    if (info.unit) parts.push(info.unit);
+    if (info.min !== null && info.max !== null) parts.push(`${info.min} to ${info.max}`);
+    if (info.isString) parts.push('text');
+    return parts.join(' · ');
+}
+
+// ============================================================================
+// Live Data Simulator
+// ============================================================================
+
+// Vehicle model tuning, in simulated minutes and grams
+const SIMULATOR_CYCLE = {
+    sootStart: 4,       // Soot left after a regeneration
+    sootEnd: 1.5,       // Soot burnt down to during a regeneration
+    sootTrigger: 24,    // Soot load that starts a regeneration
+    loadRate: 0.067,    // g/min while driving
+    regenMinutes: 15
+};
+
+// Config cell -> live cell as the firmware sends it, before a reading is filled in
+function configCellToLive(cell) {
+    return {
+        ...cell,
+        enabled: String(cell.enabled) !== 'false',
+        decimalPlaces: parseInt(cell.decimals, 10) || 0,
+        data1_valid: false
+    };
+}
+
+function simulatorNoise(amplitude) {
+    return (Math.random() * 2 - 1) * amplitude;
+}
+
+/**
+ * Simulated readings per data key: (state, minutes, engine) -> number or string.
+ * Keys not listed here wander through their dictionary range.
+ */
+const SIMULATED_SOURCES = {
+    'SOOT_MAS_CALC': (s) => s.soot,
+    'SOOT_MAS_MEAS': (s) => s.soot * 1.08 + simulatorNoise(0.3),
+    'DISTANCE': (s) => s.distance,
+    'TIME_SINCE_REGEN': (s) => s.sinceRegen,
+    'TEMP_DPF_IN': (s) => s.tempIn + simulatorNoise(3),
+    'TEMP_DPF_OUT': (s) => s.tempOut + simulatorNoise(3),
+    'DIFF_PRESSURE': (s) => 5 + s.soot * 2.5 + simulatorNoise(2),
+    'POST_INJ_2': (s) => (s.regen ? 6 + simulatorNoise(0.5) : 0),
+    'POST_INJ_3': (s) => (s.regen ? 3 + simulatorNoise(0.3) : 0),
+    'VIN': () => 'WF0XXXTTGXKA12345',
+    'VIN2': () => 4512345,
+    'ENG_CODE': (s, minutes, engine) => engine,
+    'BATT_VOLTAGE': () => 14.1 + simulatorNoise(0.15),
+    'AMBIENT_LIGHT': (s, minutes) => 50 + 40 * Math.sin(minutes / 60),
+    'PWR_ON': () => 1
+};
+
+/**
+ * Offline stand-in for the device. Implements the WebSocketManager interface
+ * (connect, disconnect, onMessage, onStatusChange, counters) and emits the same
+ * {cells:[...]} frames for one configured screen. Engine values are encoded into
+ * response bytes and decoded with the current engine's _RES formulas, so they are
+ * scaled and rounded as on the device, and a broken formula shows as an invalid cell.
+ *
+ * Time is compressed: at 1x one real second covers one minute of driving, so a
+ * soot load and regeneration cycle takes a little over five minutes.
+ */
+class LiveDataSimulator {
+    constructor(config) {
+        this.config = config;
+        this.interval = 500; // ms between frames
+        this.speed = 1;
+        this.screenKey = null;
+        this.timer = null;
+        this.messageCallback = null;
+        this.statusCallback = null;
+        this.messageCount = 0;
+        this.lastMessageTime = null;
+        this.reset();
+    }
+
+    // Start again from a freshly regenerated filter
+    reset() {
+        this.minutes = 0;
+        this.state = {
+            soot: SIMULATOR_CYCLE.sootStart,
+            distance: 0,
+            sinceRegen: 0,
+            regen: false,
+            regenLeft: 0,
+            tempIn: 180,
+            tempOut: 160
+        };
+    }
+
+    connect() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.interval);
+        this.tick();
+    }
+
+    disconnect() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.updateStatus('disconnected', 'Simulator stopped');
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    setScreen(screenKey) {
+        this.screenKey = screenKey;
+    }
+
+    tick() {
+        this.step(this.interval / 1000 * this.speed);
+        const frame = this.buildFrame();
+        this.messageCount++;
+        this.lastMessageTime = Date.now();
+        if (this.messageCallback) {
+            this.messageCallback(frame);
+        }
+
+        const phase = this.state.regen ? 'regenerating' : `soot ${this.state.soot.toFixed(1)} g`;
+        this.updateStatus('connected', `Simulator running (${this.speed}x) - ${phase}`);
+    }
+
+    // Advance the vehicle model by dt simulated minutes
+    step(dt) {
+        const s = this.state;
+        this.minutes += dt;
+        const t = this.minutes;
+
+        s.distance += (75 + 20 * Math.sin(t / 9)) / 60 * dt;
+        s.sinceRegen += dt;
+
+        if (s.regen) {
+            const burnRate = (SIMULATOR_CYCLE.sootTrigger - SIMULATOR_CYCLE.sootEnd) / SIMULATOR_CYCLE.regenMinutes;
+            s.soot = Math.max(SIMULATOR_CYCLE.sootEnd, s.soot - burnRate * dt);
+            s.regenLeft -= dt;
+            if (s.regenLeft <= 0) {
+                s.regen = false;
+                s.distance = 0;
+                s.sinceRegen = 0;
+            }
+        } else {
+            s.soot += SIMULATOR_CYCLE.loadRate * dt * (0.8 + Math.random() * 0.4);
+            if (s.soot >= SIMULATOR_CYCLE.sootTrigger) {
+                s.regen = true;
+                s.regenLeft = SIMULATOR_CYCLE.regenMinutes;
+            }
+        }
+
+        // Exhaust temperatures follow their targets with a lag; the outlet trails the inlet
+        const targetIn = s.regen ? 610 : 230 + 60 * Math.sin(t / 7);
+        s.tempIn += (targetIn - s.tempIn) * Math.min(1, dt / 1.5);
+        const targetOut = s.tempIn + (s.regen ? 35 : -20);
+        s.tempOut += (targetOut - s.tempOut) * Math.min(1, dt / 3);
+    }
+
+    // Screen to simulate: the chosen one, or the first configured screen
+    getScreenKey() {
+        const screenKeys = this.config.getScreenKeys();
+        return screenKeys.includes(this.screenKey) ? this.screenKey : screenKeys[0];
+    }
+
+    buildFrame() {
+        const engine = this.config.data?.CURRENT_ENGINE?.engine_type || 'CNHC';
+        const engineData = this.config.getEngineSection(engine);
+        const screen = this.getScreenKey();
+        const cells = this.config.getScreen(screen)
+            .map(cell => this.simulateCell(cell, engineData, engine));
+        return { screen, cells };
+    }
+
+    simulateCell(cell, engineData, engine) {
+        const live = configCellToLive(cell);
+
+        const reading = this.readSource(cell.data1, engineData, engine);
+        if (reading === null) return live;
+
+        live.data1_valid = true;
+        if (typeof reading === 'string') {
+            live.str_value = reading;
+        } else {
+            live.value = reading;
+        }
+        return live;
+    }
+
+    // Decoded reading for a data key, or null when the device could not read it
+    readSource(key, engineData, engine) {
+        if (!key) return null;
+        const raw = SIMULATED_SOURCES[key]
+            ? SIMULATED_SOURCES[key](this.state, this.minutes, engine)
+            : this.wander(describeDataSource(key, engineData));
+
+        if (DEVICE_DATA_SOURCES.includes(key)) return raw;
+        if (!(key in engineData)) return null;
+
+        const { ast, error } = checkFormula(engineData[`${key}_RES`]);
+        if (error) return null;
+
+        const target = ast.type === 'string' ? String(raw) : Number(raw) || 0;
+        try {
+            return evaluateFormula(ast, encodeFormulaValue(ast, target));
+        } catch (e) {
+            if (e instanceof FormulaError) return null;
+            throw e;
+        }
+    }
+
+    // Slow sine through the typical range, phase-shifted per key
+    wander(info) {
+        if (info.isString) return info.label;
+        const min = info.min ?? 0;
+        const max = info.max ?? 100;
+        const phase = Array.from(info.key).reduce((sum, ch) => sum + ch.charCodeAt(0), 0);
+        const position = 0.5 + 0.45 * Math.sin(this.minutes / 20 + phase);
+        return min + (max - min) * position + simulatorNoise((max - min) * 0.01);
+    }
+
+    onMessage(callback) {
+        this.messageCallback = callback;
+    }
+
+    onStatusChange(callback) {
+        this.statusCallback = callback;
+    }
+
+    updateStatus(status, message) {
+        if (this.statusCallback) {
+            this.statusCallback(status, message);
+        }
+    }
+
+    getMessageCount() {
+        return this.messageCount;
+    }
+
+    getLastMessageTime() {
+        return this.lastMessageTime;
+    }
+}
+
+// ============================================================================
+// Live Data Recording
+// ============================================================================
+
+const RECORDING_FORMAT = 't-display-live-recording';
+const RECORDING_VERSION = 1;
+
+/**
+ * Recordings are { name, startedAt, duration, frameCount, frames } where each
+ * frame is { t, cells } with t in ms since startedAt and cells as received by
+ * LiveDataManager.handleLiveData.
+ */
+
+// 75500 -> "1:15", 3723000 -> "1:02:03"
+function formatDuration(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total / 60) % 60;
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function createRecording(name, startedAt, frames) {
+    return {
+        name,
+        startedAt,
+        duration: frames.length > 0 ? frames[frames.length - 1].t : 0,
+        frameCount: frames.length,
+        frames
+    };
+}
+
+function recordingToJson(recording) {
+    return JSON.stringify({
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        name: recording.name,
+        startedAt: recording.startedAt,
+        frames: recording.frames
+    });
+}
+
+// One column per data source (data1, or the name for cells without one); invalid readings are empty
+function recordingToCsv(recording) {
+    const columns = [];
+    recording.frames.forEach(frame => frame.cells.forEach(cell => {
+        const key = cell.data1 || cell.name;
+        if (key && !columns.includes(key)) columns.push(key);
+    }));
+
+    const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const rows = recording.frames.map(frame => {
+        const values = {};
+        frame.cells.forEach(cell => {
+            if (!cell.data1_valid) return;
+            const text = cell.str_value !== undefined && cell.str_value !== null && cell.str_value !== ''
+                ? cell.str_value
+                : cell.value;
+            if (text !== undefined && text !== null) values[cell.data1 || cell.name] = String(text);
+        });
+        return [(frame.t / 1000).toFixed(3), ...columns.map(key => values[key] ?? '')].map(quote).join(',');
+    });
+
+    return [['time_s', ...columns].map(quote).join(','), ...rows].join('\n') + '\n';
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * CSV only carries values, so cells are laid out like the configured screen
+ * that shows most of its columns.
+ */
+function csvToRecording(text, name, config) {
+    const rows = parseCsv(text);
+    const header = rows.shift() || [];
+    if (header[0] !== 'time_s') {
+        throw new Error('CSV must start with a "time_s" column');
+    }
+
+    const columns = header.slice(1);
+    let best = null;
+    let bestCount = 0;
+    config.getScreenKeys().forEach(screenKey => {
+        const count = config.getScreen(screenKey).filter(cell => columns.includes(cell.data1)).length;
+        if (count > bestCount) {
+            best = screenKey;
+            bestCount = count;
+        }
+    });
+    if (!best) {
+        throw new Error('None of the CSV columns is shown on a configured screen');
+    }
+
+    const layout = config.getScreen(best);
+    const frames = rows.map((row, i) => {
+        const t = Math.round(parseFloat(row[0]) * 1000);
+        if (!isFinite(t)) throw new Error(`Row ${i + 2}: invalid time "${row[0]}"`);
+
+        const cells = layout.map(cell => {
+            const live = configCellToLive(cell);
+            const text = row[columns.indexOf(cell.data1) + 1];
+            if (!columns.includes(cell.data1) || text === undefined || text === '') return live;
+            live.data1_valid = true;
+            if (text.trim() !== '' && isFinite(Number(text))) {
+                live.value = Number(text);
+            } else {
+                live.str_value = text;
+            }
+            return live;
+        });
+        return { t, cells };
+    });
+
+    return createRecording(name, Date.now(), frames);
+}
+
+// Read an exported .json or .csv recording; throws Error with a user-facing message
+function parseRecording(text, fileName, config) {
+    const name = fileName.replace(/\.[^.]+$/, '');
+    if (/\.csv$/i.test(fileName)) return csvToRecording(text, name, config);
+
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid JSON: ' + e.message);
+    }
+    if (doc?.format !== RECORDING_FORMAT || !Array.isArray(doc.frames)) {
+        throw new Error('Not a live data recording');
+    }
+    if (doc.version > RECORDING_VERSION) {
+        throw new Error(`Recording version ${doc.version} is newer than this editor supports (${RECORDING_VERSION})`);
+    }
+
+    const frames = doc.frames.filter(frame => typeof frame?.t === 'number' && Array.isArray(frame.cells));
+    if (frames.length === 0) {
+        throw new Error('Recording has no frames');
+    }
+    frames.sort((a, b) => a.t - b.t);
+    return createRecording(doc.name || name, doc.startedAt || Date.now(), frames);
+}
+
+/**
+ * IndexedDB persistence. Metadata and frames are kept in separate stores with
+ * the same id, so listing recordings does not load every frame.
+ */
+class RecordingStore {
+    constructor(dbName = 't-display-editor') {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+                request.result.createObjectStore('recordingFrames', { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run fn(recordings, frames) in one transaction; resolves with the result of the request(s) it returns
+    async transaction(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['recordings', 'recordingFrames'], mode);
+            const requests = fn(tx.objectStore('recordings'), tx.objectStore('recordingFrames'));
+            tx.oncomplete = () => resolve(Array.isArray(requests) ? requests.map(r => r.result) : requests?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    list() {
+        return this.transaction('readonly', (recordings) => recordings.getAll());
+    }
+
+    // Resolves with the new id
+    save(recording) {
+        const { frames, ...meta } = recording;
+        delete meta.id;
+        return this.transaction('readwrite', (recordings, frameStore) => {
+            const request = recordings.add(meta);
+            request.onsuccess = () => frameStore.put({ id: request.result, frames });
+            return request;
+        });
+    }
+
+    async load(id) {
+        const [meta, frames] = await this.transaction('readonly', (recordings, frameStore) => [
+            recordings.get(id),
+            frameStore.get(id)
+        ]);
+        return meta ? { ...meta, frames: frames?.frames || [] } : null;
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', (recordings, frameStore) => {
+            frameStore.delete(id);
+            return recordings.delete(id);
+        });
+    }
+}
+
+/**
+ * Replays a recording with the WebSocketManager interface, so LiveDataManager
+ * can use it as its data source. connect() plays, disconnect() pauses.
+ */
+class RecordingPlayer {
+    constructor() {
+        this.recording = null;
+        this.index = -1;       // Last frame sent
+        this.position = 0;     // ms into the recording
+        this.speed = 1;
+        this.timer = null;
+        this.playing = false;
+        this.messageCallback = null;
+        this.statusCallback = null;
+        this.progressCallback = null;
+        this.seekCallback = null;
+        this.messageCount = 0;
+        this.lastMessageTime = null;
+    }
+
+    load(recording) {
+        this.disconnect();
+        this.recording = recording;
+        this.index = -1;
+        this.position = 0;
+    }
+
+    connect() {
+        if (!this.recording || this.playing) return;
+        if (this.index >= this.recording.frames.length - 1) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.updateStatus('connected', `Replaying "${this.recording.name}" (${this.speed}x)`);
+        if (this.index < 0) this.emit(0);
+        this.schedule();
+    }
+
+    disconnect() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.playing) return;
+        this.playing = false;
+        this.updateStatus('disconnected', 'Replay paused at ' + formatDuration(this.position));
+    }
+
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+        if (this.playing) {
+            clearTimeout(this.timer);
+            this.updateStatus('connected', `Replaying "${this.recording.name}" (${this.speed}x)`);
+            this.schedule();
+        }
+    }
+
+    // Show the frame in effect at ms, keeping the play state
+    seek(ms) {
+        if (!this.recording) return;
+        const frames = this.recording.frames;
+        let lo = 0;
+        let hi = frames.length - 1;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (frames[mid].t <= ms) lo = mid; else hi = mid - 1;
+        }
+
+        clearTimeout(this.timer);
+        if (this.seekCallback) {
+            this.seekCallback(ms);
+        }
+        this.emit(lo);
+        this.position = Math.max(ms, frames[lo].t);
+        if (this.playing) this.schedule();
+    }
+
+    schedule() {
+        const next = this.recording.frames[this.index + 1];
+        if (!next) {
+            this.playing = false;
+            this.updateStatus('disconnected', 'Replay finished');
+            return;
+        }
+        const delay = Math.max(0, (next.t - this.position) / this.speed);
+        this.timer = setTimeout(() => {
+            this.emit(this.index + 1);
+            this.schedule();
+        }, delay);
+    }
+
+    emit(index) {
+        const frame = this.recording.frames[index];
+        this.index = index;
+        this.position = frame.t;
+        this.messageCount++;
+        this.lastMessageTime = Date.now();
+        if (this.messageCallback) {
+            // Recorded time, so charts follow the recording rather than the wall clock
+            this.messageCallback({ cells: frame.cells, timestamp: this.recording.startedAt + frame.t });
+        }
+        if (this.progressCallback) {
+            this.progressCallback(this.position);
+        }
+    }
+
+    onMessage(callback) {
+        this.messageCallback = callback;
+    }
+
+    onStatusChange(callback) {
+        this.statusCallback = callback;
+    }
+
+    onProgress(callback) {
+        this.progressCallback = callback;
+    }
+
+    // Called with the target position before the frame at a seek is sent
+    onSeek(callback) {
+        this.seekCallback = callback;
+    }
+
+    updateStatus(status, message) {
+        if (this.statusCallback) {
+            this.statusCallback(status, message);
+        }
+    }
+
+    getMessageCount() {
+        return this.messageCount;
+    }
+
+    getLastMessageTime() {
+        return this.lastMessageTime;
+    }
+}
+
+class RecordingManager {
+    constructor(config, liveDataManager, store = new RecordingStore()) {
+        this.config = config;
+        this.live = liveDataManager;
+        this.store = store;
+        this.player = new RecordingPlayer();
+        this.capture = null;   // { startedAt, frames } while recording
+        this.loaded = null;    // Recording currently in the player, with its id
+        this.elements = {
+            recordButton: document.getElementById('recordButton'),
+            recordingInfo: document.getElementById('recordingInfo'),
+            recordingSelect: document.getElementById('recordingSelect'),
+            replayPlay: document.getElementById('replayPlay'),
+            replayStop: document.getElementById('replayStop'),
+            recordingDelete: document.getElementById('recordingDelete'),
+            replayScrubber: document.getElementById('replayScrubber'),
+            replayTime: document.getElementById('replayTime'),
+            replaySpeed: document.getElementById('replaySpeed'),
+            recordingExportJson: document.getElementById('recordingExportJson'),
+            recordingExportCsv: document.getElementById('recordingExportCsv'),
+            recordingImport: document.getElementById('recordingImport'),
+            recordingImportFile: document.getElementById('recordingImportFile'),
+            statusText: document.getElementById('statusText')
+        };
+    }
+
+    initialize() {
+        this.live.addSource(this.player);
+        this.live.onFrame((data, source) => this.onFrame(data, source));
+        this.live.onSourceChange(() => this.updateButtons());
+        this.player.onProgress(() => this.updateTimeline());
+        // Also refresh Play/Pause when the player stops by itself
+        this.player.onStatusChange((status, message) => {
+            this.live.updateConnectionUI(status, message);
+            this.updateButtons();
+        });
+
+        this.setupEventListeners();
+        this.refreshList();
+    }
+
+    setupEventListeners() {
+        const el = this.elements;
+        if (!el.recordButton) return;
+
+        el.recordButton.addEventListener('click', () => this.toggleRecording());
+        el.replayPlay.addEventListener('click', () => this.togglePlay());
+        el.replayStop.addEventListener('click', () => this.stopReplay());
+        el.recordingDelete.addEventListener('click', () => this.deleteSelected());
+        el.recordingSelect.addEventListener('change', () => this.updateButtons());
+
+        el.replaySpeed.addEventListener('change', (e) => {
+            this.player.setSpeed(parseFloat(e.target.value));
+        });
+
+        el.replayScrubber.addEventListener('input', (e) => this.seek(parseInt(e.target.value, 10)));
+
+        el.recordingExportJson.addEventListener('click', () => this.exportSelected('json'));
+        el.recordingExportCsv.addEventListener('click', () => this.exportSelected('csv'));
+        el.recordingImport.addEventListener('click', () => el.recordingImportFile.click());
+        el.recordingImportFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importFile(file);
+        });
+    }
+
+    // ---- Recording --------------------------------------------------------
+
+    toggleRecording() {
+        if (this.capture) {
+            this.stopRecording();
+        } else {
+            this.capture = { startedAt: Date.now(), frames: [] };
+            this.updateRecordingInfo();
+            this.updateButtons();
+        }
+    }
+
+    onFrame(data, source) {
+        if (!this.capture || source === this.player) return;
+        this.capture.frames.push({ t: Date.now() - this.capture.startedAt, cells: data.cells });
+        this.updateRecordingInfo();
+    }
+
+    async stopRecording() {
+        const { startedAt, frames } = this.capture;
+        this.capture = null;
+        this.updateButtons();
+
+        if (frames.length === 0) {
+            this.updateRecordingInfo('Nothing recorded - no live data arrived');
+            return;
+        }
+
+        const recording = createRecording(`Recording ${new Date(startedAt).toLocaleString()}`, startedAt, frames);
+        try {
+            const id = await this.store.save(recording);
+            await this.refreshList(id);
+            this.updateRecordingInfo(`Saved ${frames.length} frames (${formatDuration(recording.duration)})`);
+        } catch (error) {
+            console.error('Failed to save recording:', error);
+            this.updateStatus('Could not save recording: ' + error.message, 'error');
+            this.updateRecordingInfo();
+        }
+    }
+
+    updateRecordingInfo(message = null) {
+        const info = this.elements.recordingInfo;
+        if (!info) return;
+        if (message) {
+            info.textContent = message;
+        } else if (this.capture) {
+            const frames = this.capture.frames;
+            const duration = frames.length ? frames[frames.length - 1].t : 0;
+            info.textContent = `Recording... ${frames.length} frames, ${formatDuration(duration)}`;
+        } else {
+            info.textContent = 'Not recording';
+        }
+    }
+
+    // ---- Saved recordings -------------------------------------------------
+
+    async refreshList(selectId = null) {
+        const select = this.elements.recordingSelect;
+        if (!select) return;
+
+        let recordings = [];
+        try {
+            recordings = await this.store.list();
+        } catch (error) {
+            console.warn('Recordings unavailable:', error.message);
+            this.updateRecordingInfo('Recordings unavailable: ' + error.message);
+        }
+
+        const current = selectId ?? (select.value ? Number(select.value) : null);
+        select.innerHTML = '';
+        if (recordings.length === 0) {
+            select.innerHTML = '<option value="">No recordings</option>';
+        }
+        recordings
+            .sort((a, b) => b.startedAt - a.startedAt)
+            .forEach(recording => {
+                const option = document.createElement('option');
+                option.value = recording.id;
+                option.textContent = `${recording.name} (${formatDuration(recording.duration)})`;
+                select.appendChild(option);
+            });
+        if (recordings.some(r => r.id === current)) {
+            select.value = current;
+        }
+        this.updateButtons();
+    }
+
+    getSelectedId() {
+        const value = this.elements.recordingSelect?.value;
+        return value ? Number(value) : null;
+    }
+
+    async getSelectedRecording() {
+        const id = this.getSelectedId();
+        if (id === null) return null;
+        if (this.loaded?.id === id) return this.loaded;
+
+        const recording = await this.store.load(id);
+        return recording;
+    }
+
+    async deleteSelected() {
+        const id = this.getSelectedId();
+        if (id === null) return;
+        const name = this.elements.recordingSelect.selectedOptions[0]?.textContent;
+        if (!confirm(`Delete recording "${name}"?`)) return;
+
+        if (this.loaded?.id === id) {
+            this.stopReplay();
+            this.player.load(null);
+            this.loaded = null;
+        }
+        try {
+            await this.store.delete(id);
+            await this.refreshList();
+            this.updateTimeline();
+            this.updateStatus('Recording deleted', 'success');
+        } catch (error) {
+            this.updateStatus('Could not delete recording: ' + error.message, 'error');
+        }
+    }
+
+    async exportSelected(format) {
+        try {
+            const recording = await this.getSelectedRecording();
+            if (!recording) return;
+            const baseName = recording.name.replace(/[^\w.-]+/g, '_');
+            if (format === 'csv') {
+                downloadFile(recordingToCsv(recording), baseName + '.csv', 'text/csv');
+            } else {
+                downloadFile(recordingToJson(recording), baseName + '.json', 'application/json');
+            }
+        } catch (error) {
+            this.updateStatus('Could not export recording: ' + error.message, 'error');
+        }
+    }
+
+    async importFile(file) {
+        try {
+            const recording = parseRecording(await file.text(), file.name, this.config);
+            const id = await this.store.save(recording);
+            await this.refreshList(id);
+            this.updateStatus(`Imported "${recording.name}" (${recording.frameCount} frames)`, 'success');
+        } catch (error) {
+            this.updateStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    // ---- Replay -----------------------------------------------------------
+
+    // Load the selected recording into the player and make it the live source
+    async startReplay() {
+        const recording = await this.getSelectedRecording();
+        if (!recording) return false;
+
+        if (this.loaded !== recording) {
+            this.player.load(recording);
+            this.loaded = recording;
+        }
+        this.live.useSource(this.player, false);
+        return true;
+    }
+
+    async togglePlay() {
+        if (this.player.playing) {
+            this.player.disconnect();
+            return;
+        }
+        try {
+            if (await this.startReplay()) {
+                this.player.connect();
+            }
+        } catch (error) {
+            this.updateStatus('Could not load recording: ' + error.message, 'error');
+        }
+        this.updateTimeline();
+        this.updateButtons();
+    }
+
+    // Back to the device or simulator
+    stopReplay() {
+        if (this.live.source === this.player) {
+            this.live.restoreSource();
+        }
+        this.updateButtons();
+    }
+
+    async seek(ms) {
+        if (this.loaded?.id !== this.getSelectedId()) {
+            try {
+                if (!(await this.startReplay())) return;
+            } catch (error) {
+                this.updateStatus('Could not load recording: ' + error.message, 'error');
+                return;
+            }
+        } else if (this.live.source !== this.player) {
+            this.live.useSource(this.player, false);
+        }
+        this.player.seek(ms);
+        this.updateButtons();
+    }
+
+    updateTimeline() {
+        const { replayScrubber, replayTime } = this.elements;
+        if (!replayScrubber) return;
+        const duration = this.loaded ? this.loaded.duration : 0;
+        const position = this.loaded ? this.player.position : 0;
+        replayScrubber.max = duration;
+        replayScrubber.value = position;
+        replayTime.textContent = `${formatDuration(position)} / ${formatDuration(duration)}`;
+    }
+
+    updateButtons() {
+        const el = this.elements;
+        if (!el.recordButton) return;
+
+        const hasSelection = this.getSelectedId() !== null;
+        const replaying = this.live.source === this.player;
+
+        el.recordButton.textContent = this.capture ? 'Stop Recording' : 'Record';
+        el.recordButton.classList.toggle('recording', !!this.capture);
+        el.recordButton.disabled = replaying;
+
+        el.replayPlay.textContent = this.player.playing ? 'Pause' : 'Play';
+        el.replayPlay.disabled = !hasSelection || !!this.capture;
+        el.replayStop.disabled = !replaying;
+        el.replayScrubber.disabled = !hasSelection || !!this.capture;
+        el.recordingDelete.disabled = !hasSelection;
+        el.recordingExportJson.disabled = !hasSelection;
+        el.recordingExportCsv.disabled = !hasSelection;
+    }
+
+    updateStatus(message, type) {
+        if (this.elements.statusText) {
+            this.elements.statusText.textContent = message;
+            this.elements.statusText.className = `status-${type}`;
+        }
+    }
+}
+
+// ============================================================================
+// Live Charts
+// ============================================================================
+
+const CHART_COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#a855f7', '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#94a3b8'];
+const CHART_MAX_POINTS = 4000; // Per series; older points are thinned beyond this
+const CHART_MIN_SPAN = 5000;   // Closest zoom, ms
+const CHART_MARGIN = { left: 52, right: 52, top: 12, bottom: 24 };
+
+/**
+ * Trend chart of every numeric live value, keyed by data source. Series with the
+ * same unit share a y scale; the first two units get the left and right axes.
+ * Time is the frame's timestamp (recorded time during replay) or arrival time.
+ */
+class LiveChartManager {
+    constructor(config, liveDataManager, player = null) {
+        this.config = config;
+        this.live = liveDataManager;
+        this.player = player;    // RecordingPlayer; a replay seek starts the chart over
+        this.series = new Map(); // key -> { key, label, unit, decimals, color, visible, points: [{ t, v }] }
+        this.firstTime = null;
+        this.lastTime = null;
+        this.windowMs = 60000;   // null for the whole session
+        this.zoomSpan = null;    // Visible span when zoomed in, ms
+        this.paused = false;
+        this.viewEnd = null;     // Right edge of the view while paused
+        this.drag = null;
+        this.drawPending = false;
+        this.elements = {
+            chart: document.getElementById('liveChart'),
+            chartWindow: document.getElementById('chartWindow'),
+            chartPause: document.getElementById('chartPause'),
+            chartZoomReset: document.getElementById('chartZoomReset'),
+            chartClear: document.getElementById('chartClear'),
+            chartLegend: document.getElementById('chartLegend')
+        };
+        this.ctx = this.elements.chart ? this.elements.chart.getContext('2d') : null;
+    }
+
+    initialize() {
+        if (!this.ctx) return;
+
+        this.live.onFrame((data) => this.addFrame(data));
+        this.live.onSourceChange(() => this.clear());
+        this.player?.onSeek(() => this.clear());
+        this.setupEventListeners();
+        this.renderLegend();
+        this.scheduleDraw();
+    }
+
+    setupEventListeners() {
+        const el = this.elements;
+
+        el.chartWindow.addEventListener('change', (e) => {
+            this.windowMs = e.target.value === 'session' ? null : parseInt(e.target.value, 10) * 1000;
+            this.zoomSpan = null;
+            this.scheduleDraw();
+        });
+
+        el.chartPause.addEventListener('click', () => this.setPaused(!this.paused));
+        el.chartZoomReset.addEventListener('click', () => {
+            this.zoomSpan = null;
+            if (this.paused) this.viewEnd = this.lastTime;
+            this.scheduleDraw();
+        });
+        el.chartClear.addEventListener('click', () => this.clear());
+
+        el.chart.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        el.chart.addEventListener('pointerdown', (e) => {
+            if (!this.paused) return;
+            this.drag = { x: e.clientX, end: this.viewEnd };
+            el.chart.setPointerCapture?.(e.pointerId);
+        });
+        el.chart.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            const view = this.getView();
+            const plotWidth = el.chart.clientWidth - CHART_MARGIN.left - CHART_MARGIN.right;
+            if (plotWidth <= 0) return;
+            this.viewEnd = this.clampEnd(this.drag.end - (e.clientX - this.drag.x) / plotWidth * view.span, view.span);
+            this.scheduleDraw();
+        });
+        const endDrag = () => {
+            this.drag = null;
+        };
+        el.chart.addEventListener('pointerup', endDrag);
+        el.chart.addEventListener('pointercancel', endDrag);
+
+        el.chartLegend.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-series]');
+            const series = item && this.series.get(item.dataset.series);
+            if (!series) return;
+            series.visible = !series.visible;
+            item.classList.toggle('off', !series.visible);
+            this.scheduleDraw();
+        });
+
+        window.addEventListener('resize', () => this.scheduleDraw());
+    }
+
+    addFrame(data) {
+        const t = typeof data.timestamp === 'number' ? data.timestamp : Date.now();
+
+        data.cells.forEach(cell => {
+            if (!cell.enabled || !cell.data1_valid || typeof cell.value !== 'number' || !isFinite(cell.value)) return;
+            const key = cell.data1 || cell.name;
+            if (!key) return;
+
+            const series = this.series.get(key) || this.createSeries(key);
+            const points = series.points;
+            if (points.length > 0 && t < points[points.length - 1].t) {
+                // A late frame: slot the point in by time rather than drawing a line back
+                let i = points.length - 1;
+                while (i > 0 && points[i - 1].t > t) i--;
+                points.splice(i, 0, { t, v: cell.value });
+            } else {
+                points.push({ t, v: cell.value });
+            }
+            if (series.points.length > CHART_MAX_POINTS) {
+                const half = Math.floor(series.points.length / 2);
+                series.points = series.points.slice(0, half).filter((p, i) => i % 2 === 0).concat(series.points.slice(half));
+            }
+        });
+
+        if (this.firstTime === null || t < this.firstTime) this.firstTime = t;
+        if (this.lastTime === null || t > this.lastTime) this.lastTime = t;
+        this.scheduleDraw();
+    }
+
+    createSeries(key) {
+        const engine = this.config.data?.CURRENT_ENGINE?.engine_type || 'CNHC';
+        const info = describeDataSource(key, this.config.getEngineSection(engine));
+        const series = {
+            key,
+            label: info.label,
+            unit: info.unit,
+            decimals: info.decimals,
+            color: CHART_COLORS[this.series.size % CHART_COLORS.length],
+            visible: true,
+            points: []
+        };
+        this.series.set(key, series);
+        this.renderLegend();
+        return series;
+    }
+
+    clear() {
+        this.series.clear();
+        this.firstTime = null;
+        this.lastTime = null;
+        this.viewEnd = null;
+        this.zoomSpan = null;
+        this.renderLegend();
+        this.scheduleDraw();
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        this.viewEnd = paused ? this.lastTime : null;
+        const button = this.elements.chartPause;
+        button.classList.toggle('active', paused);
+        button.title = paused ? 'Resume' : 'Pause';
+        this.scheduleDraw();
+    }
+
+    // Zoom the time axis around the pointer; the live view stays pinned to the newest data
+    onWheel(e) {
+        if (this.lastTime === null) return;
+        e.preventDefault();
+
+        const view = this.getView();
+        const span = Math.min(view.full, Math.max(CHART_MIN_SPAN, view.span * (e.deltaY > 0 ? 1.25 : 0.8)));
+        if (this.paused) {
+            const rect = this.elements.chart.getBoundingClientRect();
+            const plotWidth = rect.width - CHART_MARGIN.left - CHART_MARGIN.right;
+            const ratio = plotWidth > 0 ? Math.min(1, Math.max(0, (e.clientX - rect.left - CHART_MARGIN.left) / plotWidth)) : 1;
+            const anchor = view.start + ratio * view.span;
+            this.viewEnd = this.clampEnd(anchor + (1 - ratio) * span, span);
+        }
+        this.zoomSpan = span >= view.full ? null : span;
+        this.scheduleDraw();
+    }
+
+    clampEnd(end, span) {
+        if (this.lastTime === null) return end;
+        return Math.min(this.lastTime, Math.max(this.firstTime + span, end));
+    }
+
+    // Visible time range: { start, end, span, full }
+    getView() {
+        const end = this.paused && this.viewEnd !== null ? this.viewEnd : (this.lastTime ?? Date.now());
+        const session = this.lastTime !== null ? Math.max(this.lastTime - this.firstTime, CHART_MIN_SPAN) : 60000;
+        const full = this.windowMs ?? session;
+        const span = Math.min(this.zoomSpan ?? full, full);
+        return { start: end - span, end, span, full };
+    }
+
+    renderLegend() {
+        const legend = this.elements.chartLegend;
+        if (!legend) return;
+        if (this.series.size === 0) {
+            legend.innerHTML = '<span class="chart-legend-empty">No numeric values received yet</span>';
+            return;
+        }
+        legend.innerHTML = Array.from(this.series.values()).map(series => `
+            <button type="button" class="chart-legend-item${series.visible ? '' : ' off'}" data-series="${escapeHtml(series.key)}" title="${escapeHtml(series.key)} - click to show or hide">
+                <span class="chart-swatch" style="background:${series.color}"></span>
+                ${escapeHtml(series.unit ? `${series.label} (${series.unit})` : series.label)}
+                <span class="chart-legend-value"></span>
+            </button>
+        `).join('');
+    }
+
+    scheduleDraw() {
+        if (this.drawPending) return;
+        this.drawPending = true;
+        const run = () => {
+            this.drawPending = false;
+            this.draw();
+        };
+        if (window.requestAnimationFrame) {
+            window.requestAnimationFrame(run);
+        } else {
+            setTimeout(run, 16);
+        }
+    }
+
+    draw() {
+        const canvas = this.elements.chart;
+        if (!canvas || !this.ctx) return;
+
+        // Match the backing store to the displayed size; hidden pages keep the last size
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        if (canvas.clientWidth && (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio))) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+
+        const ctx = this.ctx;
+        const scale = canvas.width / width;
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const plot = {
+            x: CHART_MARGIN.left,
+            y: CHART_MARGIN.top,
+            w: width - CHART_MARGIN.left - CHART_MARGIN.right,
+            h: height - CHART_MARGIN.top - CHART_MARGIN.bottom
+        };
+        if (plot.w <= 0 || plot.h <= 0) return;
+
+        const view = this.getView();
+        const toX = (t) => plot.x + (t - view.start) / view.span * plot.w;
+
+        // Points in view, plus one either side so lines run to the edges
+        const visible = Array.from(this.series.values())
+            .filter(series => series.visible)
+            .map(series => {
+                const points = series.points;
+                let from = points.findIndex(p => p.t >= view.start);
+                if (from === -1) from = points.length;
+                let to = from;
+                while (to < points.length && points[to].t <= view.end) to++;
+                return { series, points: points.slice(Math.max(0, from - 1), Math.min(points.length, to + 1)) };
+            })
+            .filter(entry => entry.points.length > 0);
+
+        // One y scale per unit
+        const scales = new Map();
+        visible.forEach(({ series, points }) => {
+            const scale = scales.get(series.unit) || { min: Infinity, max: -Infinity };
+            points.forEach(p => {
+                scale.min = Math.min(scale.min, p.v);
+                scale.max = Math.max(scale.max, p.v);
+            });
+            scales.set(series.unit, scale);
+        });
+        scales.forEach(scale => {
+            if (scale.min === scale.max) {
+                scale.min -= 1;
+                scale.max += 1;
+            }
+            const pad = (scale.max - scale.min) * 0.05;
+            scale.min -= pad;
+            scale.max += pad;
+        });
+
+        this.drawAxes(ctx, plot, view, Array.from(scales.entries()).slice(0, 2));
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.x, plot.y, plot.w, plot.h);
+        ctx.clip();
+        ctx.lineWidth = 1.5;
+        visible.forEach(({ series, points }) => {
+            const scale = scales.get(series.unit);
+            const toY = (v) => plot.y + plot.h - (v - scale.min) / (scale.max - scale.min) * plot.h;
+            ctx.strokeStyle = series.color;
+            ctx.beginPath();
+            points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(toX(p.t), toY(p.v));
+                else ctx.lineTo(toX(p.t), toY(p.v));
+            });
+            ctx.stroke();
+        });
+        ctx.restore();
+
+        ctx.font = '12px sans-serif';
+        ctx.fillStyle = '#94a3b8';
+        if (this.series.size === 0) {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('Waiting for live data', plot.x + plot.w / 2, plot.y + plot.h / 2);
+        }
+        if (this.paused) {
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillText('Paused', plot.x + plot.w - 4, plot.y + 4);
+        }
+
+        this.updateLegendValues();
+    }
+
+    drawAxes(ctx, plot, view, axes) {
+        ctx.strokeStyle = 'rgba(148, 163, 184, 0.2)';
+        ctx.fillStyle = '#94a3b8';
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+
+        // Time axis: about one label per 100px, at clock time
+        const ticks = Math.max(2, Math.floor(plot.w / 100));
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let i = 0; i <= ticks; i++) {
+            const x = plot.x + plot.w * i / ticks;
+            ctx.beginPath();
+            ctx.moveTo(x, plot.y);
+            ctx.lineTo(x, plot.y + plot.h);
+            ctx.stroke();
+            const label = new Date(view.start + view.span * i / ticks).toLocaleTimeString();
+            ctx.fillText(label, x, plot.y + plot.h + 6);
+        }
+
+        // Value axes: first unit on the left, second on the right
+        axes.forEach(([unit, scale], side) => {
+            const x = side === 0 ? plot.x - 6 : plot.x + plot.w + 6;
+            ctx.textAlign = side === 0 ? 'right' : 'left';
+            ctx.textBaseline = 'middle';
+            for (let i = 0; i <= 4; i++) {
+                const y = plot.y + plot.h - plot.h * i / 4;
+                if (side === 0) {
+                    ctx.beginPath();
+                    ctx.moveTo(plot.x, y);
+                    ctx.lineTo(plot.x + plot.w, y);
+                    ctx.stroke();
+                }
+                const value = scale.min + (scale.max - scale.min) * i / 4;
+                const span = scale.max - scale.min;
+                ctx.fillText(value.toFixed(span < 10 ? 1 : 0), x, y);
+            }
+            if (unit) {
+                ctx.textBaseline = 'top';
+                ctx.fillText(unit, x, 0);
+            }
+        });
+    }
+
+    // Latest value next to each legend entry
+    updateLegendValues() {
+        const legend = this.elements.chartLegend;
+        if (!legend) return;
+        legend.querySelectorAll('[data-series]').forEach(item => {
+            const series = this.series.get(item.dataset.series);
+            const last = series?.points[series.points.length - 1];
+            const valueEl = item.querySelector('.chart-legend-value');
+            if (valueEl && last) valueEl.textContent = last.v.toFixed(series.decimals);
+        });
+    }
+}
+
+// ============================================================================
+// Rule Alerts
+// ============================================================================
+
+/**
+ * Browser notification and/or beep when a cell rule with notify set starts
+ * matching on live data. A rule alerts once until the cell leaves it.
+ */
+class RuleAlertManager {
+    constructor(liveDataManager) {
+        this.live = liveDataManager;
+        this.tripped = new Map(); // cell key -> index of the matching rule, -1 for none
+        this.notifications = localStorage.getItem('alertNotifications') === 'true';
+        this.sound = localStorage.getItem('alertSound') === 'true';
+        this.audioContext = null;
+        this.elements = {
+            alertNotifications: document.getElementById('alertNotifications'),
+            alertSound: document.getElementById('alertSound'),
+            alertLast: document.getElementById('alertLast')
+        };
+    }
+
+    initialize() {
+        this.live.onFrame((data) => this.check(data.cells));
+        this.live.onSourceChange(() => this.tripped.clear());
+
+        const { alertNotifications, alertSound } = this.elements;
+        if (alertNotifications) {
+            alertNotifications.checked = this.notifications;
+            alertNotifications.addEventListener('change', (e) => this.setNotifications(e.target.checked));
+        }
+        if (alertSound) {
+            alertSound.checked = this.sound;
+            alertSound.addEventListener('change', (e) => {
+                this.sound = e.target.checked;
+                localStorage.setItem('alertSound', String(this.sound));
+                // Browsers only allow audio after a user gesture, so create it here
+                if (this.sound) this.getAudioContext();
+            });
+        }
+    }
+
+    async setNotifications(enabled) {
+        if (enabled && !window.Notification) {
+            this.showLast('Notifications are not supported by this browser');
+            enabled = false;
+        } else if (enabled && Notification.permission !== 'granted') {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                this.showLast('Notifications were blocked - allow them in the browser settings');
+                enabled = false;
+            }
+        }
+
+        this.notifications = enabled;
+        localStorage.setItem('alertNotifications', String(enabled));
+        if (this.elements.alertNotifications) {
+            this.elements.alertNotifications.checked = enabled;
+        }
+    }
+
+    check(cells) {
+        cells.forEach(cell => {
+            if (!cell.enabled) return;
+            const rules = this.live.getCellRules(cell);
+            if (!rules) return;
+
+            const key = `${cell.data1}|${cell.name}`;
+            const value = this.live.getLiveValue(cell);
+            const rule = matchCellRule(rules, value);
+            const index = rule ? rules.indexOf(rule) : -1;
+
+            if (rule && rule.notify === 'true' && this.tripped.get(key) !== index) {
+                this.alert(cell, rule, value);
+            }
+            this.tripped.set(key, index);
+        });
+    }
+
+    alert(cell, rule, value) {
+        const shown = typeof value === 'number' ? value.toFixed(parseInt(cell.decimalPlaces, 10) || 0) : value;
+        const message = `${cell.name || cell.data1}: ${shown} ${rule.when} ${rule.value}`;
+        this.showLast(new Date().toLocaleTimeString() + ' - ' + message);
+
+        if (this.notifications && window.Notification && Notification.permission === 'granted') {
+            new Notification('T-Display alert', { body: message, tag: `${cell.data1}|${cell.name}` });
+        }
+        if (this.sound) {
+            this.beep();
+        }
+    }
+
+    getAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!this.audioContext && AudioContextClass) {
+            this.audioContext = new AudioContextClass();
+        }
+        return this.audioContext;
+    }
+
+    beep() {
+        const ctx = this.getAudioContext();
+        if (!ctx) return;
+
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.2, ctx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.3);
+        oscillator.connect(gain);
+        gain.connect(ctx.destination);
+        oscillator.start();
+        oscillator.stop(ctx.currentTime + 0.3);
+    }
+
+    showLast(message) {
+        if (this.elements.alertLast) {
+            this.elements.alertLast.textContent = message;
+        }
+    }
+}
+
+// ============================================================================
+// Device Commands
+// ============================================================================
+
+/**
+ * Live Data page controls that send DEVICE_COMMANDS to the connected display.
+ * Only usable while the real device (not the simulator or a replay) is connected.
+ */
+class DeviceCommandManager {
+    constructor(config, liveDataManager, wsManager) {
+        this.config = config;
+        this.live = liveDataManager;
+        this.ws = wsManager;
+        this.busy = false;
+        this.wasAvailable = false;
+        this.populatedFor = null; // Screens and data keys the dropdowns were last built from
+        this.elements = {
+            commandScreen: document.getElementById('commandScreen'),
+            commandScreenShow: document.getElementById('commandScreenShow'),
+            commandBrightness: document.getElementById('commandBrightness'),
+            commandBrightnessValue: document.getElementById('commandBrightnessValue'),
+            commandPid: document.getElementById('commandPid'),
+            commandPidRead: document.getElementById('commandPidRead'),
+            commandRegenStatus: document.getElementById('commandRegenStatus'),
+            commandResult: document.getElementById('commandResult')
+        };
+    }
+
+    initialize() {
+        const el = this.elements;
+        if (!el.commandResult) return;
+
+        this.live.onConnectionChange(() => this.updateControls());
+        this.live.onSourceChange(() => this.updateControls());
+
+        el.commandScreenShow.addEventListener('click', () => {
+            const screen = el.commandScreen.value;
+            this.run('set_screen', { screen }, () => `Device is showing ${screen}`);
+        });
+
+        el.commandBrightness.addEventListener('input', () => {
+            el.commandBrightnessValue.textContent = el.commandBrightness.value;
+        });
+        el.commandBrightness.addEventListener('change', () => {
+            const intensity = parseInt(el.commandBrightness.value, 10);
+            this.run('set_brightness', { intensity }, (result) => `Brightness set to ${result.intensity ?? intensity}`);
+        });
+
+        el.commandPidRead.addEventListener('click', () => {
+            const key = el.commandPid.value;
+            this.run('read_pid', { key }, (result) => this.formatPidResult(key, result));
+        });
+
+        el.commandRegenStatus.addEventListener('click', () => {
+            this.run('regen_status', {}, (result) => this.formatRegenStatus(result));
+        });
+
+        this.updateControls();
+    }
+
+    isAvailable() {
+        return this.live.source === this.ws && this.ws.isConnected();
+    }
+
+    getEngineData() {
+        const engine = this.config.data?.CURRENT_ENGINE?.engine_type || 'CNHC';
+        return this.config.getEngineSection(engine);
+    }
+
+    updateControls() {
+        const available = this.isAvailable();
+        // Runs on every frame's status update; rebuilding open dropdowns would reset the user's choice
+        if (available && (!this.wasAvailable || this.getOptionsSignature() !== this.populatedFor)) this.populate();
+
+        const el = this.elements;
+        [el.commandScreen, el.commandScreenShow, el.commandBrightness, el.commandPid, el.commandPidRead, el.commandRegenStatus]
+            .forEach(control => { control.disabled = !available || this.busy; });
+
+        // Keep the outcome of a command that was cut short by the disconnect
+        if (!available && this.wasAvailable && !this.busy) {
+            this.showResult('Connect to the device to send commands.');
+        }
+        this.wasAvailable = available;
+    }
+
+    getOptionsSignature() {
+        const engine = this.config.data?.CURRENT_ENGINE?.engine_type;
+        return JSON.stringify([this.config.getScreenKeys(), engine, getEngineDataKeys(this.getEngineData())]);
+    }
+
+    // Screens and data keys of the current config, keeping the current choices
+    populate() {
+        const { commandScreen, commandPid } = this.elements;
+        const screen = commandScreen.value;
+        const pid = commandPid.value;
+        const engineData = this.getEngineData();
+        this.populatedFor = this.getOptionsSignature();
+
+        commandScreen.innerHTML = '';
+        this.config.getScreenKeys().forEach(key => {
+            commandScreen.appendChild(new Option(key, key));
+        });
+
+        commandPid.innerHTML = '';
+        getEngineDataKeys(engineData).forEach(key => {
+            commandPid.appendChild(new Option(formatDataSourceName(describeDataSource(key, engineData)), key));
+        });
+
+        if (screen) commandScreen.value = screen;
+        if (pid) commandPid.value = pid;
+    }
+
+    // Send a command; describe turns the device's result into the message shown
+    async run(command, params, describe) {
+        this.busy = true;
+        this.updateControls();
+        this.showResult(`Sending ${command}...`);
+
+        try {
+            const result = await this.ws.sendCommand(command, params);
+            this.showResult(describe(result));
+        } catch (error) {
+            this.showResult(`${command} failed: ${error.message}`, true);
+        } finally {
+            this.busy = false;
+            this.updateControls();
+        }
+    }
+
+    formatPidResult(key, result) {
+        const info = describeDataSource(key, this.getEngineData());
+        if (!result.valid) {
+            return `${info.label}: no answer from the ECU`;
+        }
+        if (result.str_value) {
+            return `${info.label}: ${result.str_value}`;
+        }
+        const value = typeof result.value === 'number' ? result.value.toFixed(info.decimals) : result.value;
+        return `${info.label}: ${value}${info.unit ? ' ' + info.unit : ''}`;
+    }
+
+    formatRegenStatus(result) {
+        const parts = [result.active ? 'Regeneration in progress' : 'No regeneration'];
+        if (typeof result.soot === 'number') parts.push(`soot ${result.soot.toFixed(2)} g`);
+        if (typeof result.distance === 'number') parts.push(`${Math.round(result.distance)} km since last`);
+        if (typeof result.minutes === 'number') parts.push(`${Math.round(result.minutes)} min since last`);
+        return parts.join(' · ');
+    }
+
+    showResult(message, isError = false) {
+        const { commandResult } = this.elements;
+        commandResult.textContent = message;
+        commandResult.classList.toggle('error', isError);
+    }
+}
+
+// ============================================================================
+// Config Manager
+// ============================================================================
+
+// Optional editor-only screen titles, { "SCREEN_2": "Regeneration" }; the firmware ignores the section.
+// Kept outside the SCREEN_ prefix, which marks screens for the editor and the firmware alike.
+const SCREEN_TITLES_SECTION = 'EDITOR_SCREEN_TITLES';
+
+function getScreenTitle(doc, screenKey) {
+    return doc?.[SCREEN_TITLES_SECTION]?.[screenKey] || '';
+}
+
+// "Screen 2 · Regeneration", or "Screen 2" without a title
+function formatScreenLabel(doc, screenKey) {
+    const label = screenKey.replace('SCREEN_', 'Screen ');
+    const title = getScreenTitle(doc, screenKey);
+    return title ? `${label} · ${title}` : label;
+}
+
+/**
+ * New document whose screens are `screens` ([{ cells, title }]) numbered SCREEN_1..n
+ * in that order, placed where the first screen was. Used for reorder, duplicate and
+ * delete so the numbering never has gaps; titles move with their screens.
+ */
+function rebuildScreens(doc, screens) {
+    const screenKeys = Object.keys(doc).filter(key => /^SCREEN_\d+$/.test(key));
+    const titles = {};
+    screens.forEach((screen, i) => {
+        if (screen.title) titles[`SCREEN_${i + 1}`] = screen.title;
+    });
+    const emitScreens = (emit) => screens.forEach((screen, i) => emit(`SCREEN_${i + 1}`, deepClone(screen.cells)));
+    const hasTitles = Object.keys(titles).length > 0;
+
+    const result = rebuildDocument(doc, (key, value, emit) => {
+        if (key === screenKeys[0]) {
+            emitScreens(emit);
+        } else if (key === SCREEN_TITLES_SECTION) {
+            if (hasTitles) emit(key, titles);
+        } else if (!screenKeys.includes(key)) {
+            emit(key, deepClone(value));
+        }
+    });
+    if (screenKeys.length === 0) emitScreens((key, value) => { result[key] = value; });
+    if (hasTitles && !(SCREEN_TITLES_SECTION in result)) result[SCREEN_TITLES_SECTION] = titles;
+    return result;
+}
+
+// Old key -> new key of each listed screen that rebuildScreens(doc, screens) keeps
+function getScreenKeyMap(screens) {
+    const map = {};
+    screens.forEach((screen, i) => {
+        if (screen.key) map[screen.key] = `SCREEN_${i + 1}`;
+    });
+    return map;
+}
+
+// New document with screenKey's title set; an empty title removes it
+function setScreenTitle(doc, screenKey, title) {
+    const titles = { ...(doc[SCREEN_TITLES_SECTION] || {}) };
+    if (title) {
+        titles[screenKey] = title;
+    } else {
+        delete titles[screenKey];
+    }
+    const hasTitles = Object.keys(titles).length > 0;
+
+    const result = rebuildDocument(doc, (key, value, emit) => {
+        if (key !== SCREEN_TITLES_SECTION) {
+            emit(key, deepClone(value));
+        } else if (hasTitles) {
+            emit(key, titles);
+        }
+    });
+    if (hasTitles && !(SCREEN_TITLES_SECTION in result)) result[SCREEN_TITLES_SECTION] = titles;
+    return result;
+}
+
+// The document's screens in display order as [{ key, cells, title }]
+function getScreenList(doc) {
+    return Object.keys(doc)
+        .filter(key => /^SCREEN_\d+$/.test(key))
+        .sort((a, b) => parseInt(a.slice(7), 10) - parseInt(b.slice(7), 10))
+        .map(key => ({ key, cells: doc[key], title: getScreenTitle(doc, key) }));
+}
+
+class ConfigManager {
+    constructor() {
+        this.data = null;
+        this.currentScreen = null;
+        this.etag = null; // Version of the device copy this data was loaded from
+    }
+
+    async load() {
+        try {
+            const response = await fetch('config.json', { cache: 'no-store' });
+            this.etag = response.headers.get('ETag');
+            this.data = await response.json();
+            window.__configData = this.data;
+            return this.data;
+        } catch (error) {
+            console.error('Error loading config:', error);
+            throw error;
+        }
+    }
+
+    // Replace the whole document (imports and their undo)
+    setData(data, etag) {
+        this.data = data;
+        this.etag = etag;
+        window.__configData = this.data;
+    }
+
+    getScreenKeys() {
+        if (!this.data) return [];
+        return Object.keys(this.data).filter(k => k.startsWith('SCREEN_'));
+    }
+
+    getScreen(screenKey) {
+        return this.data ? this.data[screenKey] || [] : [];
+    }
+
+    updateCell(screenKey, cellIndex, updates) {
+        if (!this.data || !this.data[screenKey]) return;
+        const cell = this.data[screenKey][cellIndex];
+        if (cell) {
+            Object.assign(cell, updates);
+            // Setting a property to undefined removes it (e.g. clearing a cell's rules)
+            Object.keys(updates).forEach(key => {
+                if (updates[key] === undefined) delete cell[key];
+            });
+        }
+    }
+
+    createCell(name) {
+        return {
+            enabled: "true",
+            name: name,
+            posx: "0",
+            posy: "0",
+            sizex: "100",
+            sizey: "50",
+            bg_color: "0x0000",
+            font1_color: "0x07f1",
+            font2_color: "0xffff",
+            font1: "ds_digital_bold44_FS",
+            font2: "RobotoBlack16",
+            decimals: "1",
+            data1: ""
+        };
+    }
+
+    getNextScreenKey() {
+        const screenKeys = this.getScreenKeys();
+        const screenNumbers = screenKeys.map(k => parseInt(k.replace('SCREEN_', ''))).filter(n => !isNaN(n));
+        const nextNumber = screenNumbers.length > 0 ? Math.max(...screenNumbers) + 1 : 1;
+        return `SCREEN_${nextNumber}`;
+    }
+
+    addScreen() {
+        if (!this.data) return null;
+
+        // Find next available screen number
+        const newScreenKey = this.getNextScreenKey();
+
+        // Create new empty screen with default cell
+        this.data[newScreenKey] = [this.createCell("New Cell")];
+
+        return newScreenKey;
+    }
+
+    // Insert a screen at a given position among the top-level keys (used to restore deleted screens)
+    insertScreen(screenKey, cells, position) {
+        if (!this.data) return false;
+
+        const entries = Object.entries(this.data).filter(([key]) => key !== screenKey);
+        const index = Math.max(0, Math.min(entries.length, position));
+        entries.splice(index, 0, [screenKey, cells]);
+
+        // Rebuild in place so references to this.data stay valid
+        Object.keys(this.data).forEach(key => delete this.data[key]);
+        entries.forEach(([key, value]) => { this.data[key] = value; });
+        return true;
+    }
+
+    getKeyPosition(key) {
+        return this.data ? Object.keys(this.data).indexOf(key) : -1;
+    }
+
+    deleteScreen(screenKey) {
+        if (!this.data || !this.data[screenKey]) return false;
+        delete this.data[screenKey];
+        return true;
+    }
+
+    addCell(screenKey) {
+        if (!this.data || !this.data[screenKey]) return -1;
+
+        const cells = this.data[screenKey];
+        cells.push(this.createCell(`Cell ${cells.length + 1}`));
+        return cells.length - 1; // Return index of new cell
+    }
+
+    insertCell(screenKey, cellIndex, cell) {
+        if (!this.data || !this.data[screenKey]) return -1;
+        const cells = this.data[screenKey];
+        const index = Math.max(0, Math.min(cells.length, cellIndex));
+        cells.splice(index, 0, cell);
+        return index;
+    }
+
+    // Rearrange a screen's cells in place; order[i] is the current index of the cell to put at i
+    reorderCells(screenKey, order) {
+        const cells = this.data?.[screenKey];
+        if (!cells || order.length !== cells.length) return false;
+        const reordered = order.map(idx => cells[idx]);
+        cells.splice(0, cells.length, ...reordered);
+        return true;
+    }
+
+    deleteCell(screenKey, cellIndex) {
+        if (!this.data || !this.data[screenKey]) return false;
+        const cells = this.data[screenKey];
+        if (cellIndex < 0 || cellIndex >= cells.length) return false;
+        cells.splice(cellIndex, 1);
+        return true;
+    }
+
+    updateSetting(section, key, value) {
+        if (!this.data || !this.data[section]) return;
+        this.data[section][key] = value;
+    }
+
+    // Replace a whole top-level section, keeping its position in the document
+    replaceSection(section, value) {
+        if (!this.data || !(section in this.data)) return false;
+        this.data[section] = value;
+        return true;
+    }
+
+    getEngineSection(engine) {
+        return this.data?.[engine] || {};
     }
 
     getEngineTypes() {
@@ -680,23 +4615,1352 @@ class ConfigManager {
         return engineCodes.split(',').map(code => code.trim()).filter(code => code.length > 0);
     }
 
-    getCanSpeedList() {
-        if (!this.data) return [];
-        // Get CAN speeds from CAN_SPEED_LIST.kbps
-        const canSpeeds = this.data.CAN_SPEED_LIST?.kbps || '';
-        // Parse comma-separated list and trim whitespace
-        return canSpeeds.split(',').map(speed => speed.trim()).filter(speed => speed.length > 0);
+    getCanSpeedList() {
+        if (!this.data) return [];
+        // Get CAN speeds from CAN_SPEED_LIST.kbps
+        const canSpeeds = this.data.CAN_SPEED_LIST?.kbps || '';
+        // Parse comma-separated list and trim whitespace
+        return canSpeeds.split(',').map(speed => speed.trim()).filter(speed => speed.length > 0);
+    }
+
+    exportConfig() {
+        downloadFile(JSON.stringify(this.data, null, 2), 'edited_config.json', 'application/json');
+    }
+}
+
+// ============================================================================
+// Device Sync Manager
+// ============================================================================
+
+class DeviceSyncManager {
+    constructor(configManager) {
+        this.config = configManager;
+        this.endpoint = '/config.json';
+        this.timeout = 15000; // 15 seconds
+        this.busy = false;
+        this.elements = {
+            statusText: document.getElementById('statusText'),
+            syncProgress: document.getElementById('syncProgress'),
+            syncProgressBar: document.getElementById('syncProgressBar')
+        };
+    }
+
+    getConfigUrl() {
+        // Same host that served the page (the ESP32), like the WebSocket URL
+        return `${window.location.protocol}//${window.location.host}${this.endpoint}`;
+    }
+
+    /**
+     * Upload the configuration with PUT. Sends If-Match with the ETag the data was
+     * loaded with so a concurrent change on the device is not overwritten, unless
+     * force is set. Resolves with the new ETag; rejects with an Error whose code is
+     * 'conflict', 'http', 'timeout' or 'network'.
+     */
+    upload(force = false, onProgress = null) {
+        return new Promise((resolve, reject) => {
+            const body = JSON.stringify(this.config.data, null, 2);
+            const xhr = new XMLHttpRequest();
+            xhr.open('PUT', this.getConfigUrl());
+            xhr.timeout = this.timeout;
+            xhr.setRequestHeader('Content-Type', 'application/json');
+            if (this.config.etag && !force) {
+                xhr.setRequestHeader('If-Match', this.config.etag);
+            }
+
+            if (onProgress && xhr.upload) {
+                xhr.upload.onprogress = (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded / e.total);
+                };
+            }
+
+            const fail = (code, message, status = 0) => {
+                const error = new Error(message);
+                error.code = code;
+                error.status = status;
+                reject(error);
+            };
+
+            xhr.onload = () => {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(xhr.getResponseHeader('ETag'));
+                } else if (xhr.status === 412 || xhr.status === 409) {
+                    fail('conflict', 'The configuration on the device was changed since it was loaded', xhr.status);
+                } else {
+                    fail('http', `Device responded ${xhr.status} ${xhr.statusText || ''}`.trim(), xhr.status);
+                }
+            };
+            xhr.onerror = () => fail('network', 'Device not reachable');
+            xhr.ontimeout = () => fail('timeout', 'Device did not respond in time');
+
+            xhr.send(body);
+        });
+    }
+
+    /**
+     * Save to the device with progress and error reporting. On a version conflict the
+     * user may overwrite; on any other failure the file can be downloaded instead.
+     */
+    async saveToDevice() {
+        if (this.busy || !this.config.data) return false;
+        this.busy = true;
+        this.showProgress(0);
+        this.updateStatus('Saving to device...', 'info');
+
+        try {
+            let etag;
+            try {
+                etag = await this.upload(false, (fraction) => this.showProgress(fraction));
+            } catch (error) {
+                if (error.code !== 'conflict') throw error;
+
+                if (!confirm('The configuration on the device has changed since it was loaded.\n\n' +
+                    'OK: overwrite the device copy with your changes\nCancel: download your changes as a file instead')) {
+                    this.downloadInstead();
+                    return false;
+                }
+                etag = await this.upload(true, (fraction) => this.showProgress(fraction));
+            }
+
+            if (etag) this.config.etag = etag;
+            this.updateStatus('Configuration saved to device', 'success');
+            return true;
+        } catch (error) {
+            console.error('Error saving config to device:', error);
+            this.updateStatus('Save failed: ' + error.message, 'error');
+            if (confirm(`Could not save to the device (${error.message}).\n\nDownload the configuration as a file instead?`)) {
+                this.downloadInstead();
+            }
+            return false;
+        } finally {
+            this.busy = false;
+            this.hideProgress();
+        }
+    }
+
+    downloadInstead() {
+        this.config.exportConfig();
+        this.updateStatus('Configuration downloaded!', 'success');
+    }
+
+    showProgress(fraction) {
+        if (this.elements.syncProgress) {
+            this.elements.syncProgress.classList.remove('hidden');
+        }
+        if (this.elements.syncProgressBar) {
+            this.elements.syncProgressBar.style.width = Math.round(fraction * 100) + '%';
+        }
+    }
+
+    hideProgress() {
+        if (this.elements.syncProgress) {
+            this.elements.syncProgress.classList.add('hidden');
+        }
+    }
+
+    updateStatus(message, type) {
+        if (this.elements.statusText) {
+            this.elements.statusText.textContent = message;
+            this.elements.statusText.className = `status-${type}`;
+        }
+    }
+}
+
+// ============================================================================
+// History Manager (Undo / Redo)
+// ============================================================================
+
+/**
+ * Update one or more cells of a screen. Each change holds the previous and new
+ * values of only the properties being changed.
+ */
+class CellUpdateCommand {
+    constructor(config, screenKey, changes, options = {}) {
+        this.config = config;
+        this.screenKey = screenKey;
+        this.changes = changes; // [{ index, before: {}, after: {} }]
+        this.label = options.label || 'Edit cell';
+        this.coalesceKey = options.coalesceKey || null;
+        this.cellIndex = changes.length > 0 ? changes[0].index : -1;
+    }
+
+    // Build a command from the current config values, skipping properties that would not change
+    static fromUpdates(config, screenKey, indices, updates, options = {}) {
+        return CellUpdateCommand.fromCellUpdates(config, screenKey, indices.map(index => ({ index, updates })), options);
+    }
+
+    // Per-cell variant: entries is [{ index, updates }]
+    static fromCellUpdates(config, screenKey, entries, options = {}) {
+        const cells = config.getScreen(screenKey);
+        const changes = [];
+
+        entries.forEach(({ index, updates }) => {
+            const cell = cells[index];
+            if (!cell) return;
+
+            const before = {};
+            const after = {};
+            Object.keys(updates).forEach(key => {
+                if (cell[key] !== updates[key]) {
+                    before[key] = cell[key];
+                    after[key] = updates[key];
+                }
+            });
+            if (Object.keys(after).length > 0) {
+                changes.push({ index, before, after });
+            }
+        });
+
+        return new CellUpdateCommand(config, screenKey, changes, options);
+    }
+
+    isEmpty() {
+        return this.changes.length === 0;
+    }
+
+    apply() {
+        this.changes.forEach(change => this.config.updateCell(this.screenKey, change.index, change.after));
+        return true;
+    }
+
+    revert() {
+        this.changes.forEach(change => {
+            const cell = this.config.getScreen(this.screenKey)[change.index];
+            if (!cell) return;
+            Object.keys(change.before).forEach(key => {
+                // Properties that did not exist before the edit are removed again
+                if (change.before[key] === undefined) {
+                    delete cell[key];
+                } else {
+                    cell[key] = change.before[key];
+                }
+            });
+        });
+    }
+
+    // Fold a later edit of the same properties into this one, keeping the original "before"
+    merge(command) {
+        command.changes.forEach(change => {
+            const existing = this.changes.find(c => c.index === change.index);
+            if (!existing) {
+                this.changes.push(change);
+                return;
+            }
+            Object.keys(change.after).forEach(key => {
+                if (!(key in existing.before)) existing.before[key] = change.before[key];
+                existing.after[key] = change.after[key];
+            });
+        });
+    }
+}
+
+class AddCellCommand {
+    constructor(config, screenKey, cell, cellIndex) {
+        this.config = config;
+        this.screenKey = screenKey;
+        this.cell = deepClone(cell);
+        this.cellIndex = cellIndex;
+        this.label = 'Add cell';
+    }
+
+    apply() {
+        return this.config.insertCell(this.screenKey, this.cellIndex, deepClone(this.cell)) >= 0;
+    }
+
+    revert() {
+        this.config.deleteCell(this.screenKey, this.cellIndex);
+    }
+
+    remapHiddenCells(hidden, undo) {
+        const at = this.cellIndex;
+        return mapHiddenCells(hidden, this.screenKey, idx => {
+            if (undo) return idx === at ? -1 : idx - (idx > at ? 1 : 0);
+            return idx + (idx >= at ? 1 : 0);
+        });
+    }
+}
+
+class DeleteCellCommand {
+    constructor(config, screenKey, cellIndex) {
+        this.config = config;
+        this.screenKey = screenKey;
+        this.cellIndex = cellIndex;
+        this.cell = deepClone(config.getScreen(screenKey)[cellIndex]);
+        this.label = 'Delete cell';
+    }
+
+    apply() {
+        return this.config.deleteCell(this.screenKey, this.cellIndex);
+    }
+
+    revert() {
+        this.config.insertCell(this.screenKey, this.cellIndex, deepClone(this.cell));
+    }
+
+    // An undone delete brings back the cell's hidden state too
+    remapHiddenCells(hidden, undo) {
+        const at = this.cellIndex;
+        if (!undo) {
+            this.wasHidden = hidden.get(this.screenKey)?.has(at) || false;
+            return mapHiddenCells(hidden, this.screenKey, idx => idx === at ? -1 : idx - (idx > at ? 1 : 0));
+        }
+        const result = mapHiddenCells(hidden, this.screenKey, idx => idx + (idx >= at ? 1 : 0));
+        if (this.wasHidden) result.set(this.screenKey, new Set(result.get(this.screenKey)).add(at));
+        return result;
+    }
+}
+
+// Z-order change of one screen's cells
+class ReorderCellsCommand {
+    constructor(config, screenKey, order, cellIndex, label = 'Reorder cells') {
+        this.config = config;
+        this.screenKey = screenKey;
+        this.order = order.slice();
+        this.afterIndex = cellIndex;
+        this.beforeIndex = order[cellIndex];
+        this.cellIndex = cellIndex; // Where the selected cell is after the last apply/revert
+        this.label = label;
+    }
+
+    apply() {
+        this.cellIndex = this.afterIndex;
+        return this.config.reorderCells(this.screenKey, this.order);
+    }
+
+    revert() {
+        const inverse = [];
+        this.order.forEach((oldIndex, newIndex) => { inverse[oldIndex] = newIndex; });
+        this.cellIndex = this.beforeIndex;
+        this.config.reorderCells(this.screenKey, inverse);
+    }
+
+    remapHiddenCells(hidden, undo) {
+        return mapHiddenCells(hidden, this.screenKey, idx => undo ? this.order[idx] : this.order.indexOf(idx));
+    }
+}
+
+class AddScreenCommand {
+    constructor(config, screenKey, cells, position, label = 'Add screen') {
+        this.config = config;
+        this.screenKey = screenKey;
+        this.cells = deepClone(cells);
+        this.position = position;
+        this.cellIndex = 0;
+        this.label = label;
+    }
+
+    apply() {
+        return this.config.insertScreen(this.screenKey, deepClone(this.cells), this.position);
+    }
+
+    revert() {
+        this.config.deleteScreen(this.screenKey);
+    }
+
+    // A new screen starts with every cell shown
+    remapHiddenCells(hidden) {
+        const result = new Map(hidden);
+        result.delete(this.screenKey);
+        return result;
+    }
+}
+
+class DeleteScreenCommand {
+    constructor(config, screenKey) {
+        this.config = config;
+        this.screenKey = screenKey;
+        this.cells = deepClone(config.getScreen(screenKey));
+        this.position = config.getKeyPosition(screenKey);
+        this.label = 'Delete screen';
+    }
+
+    apply() {
+        return this.config.deleteScreen(this.screenKey);
+    }
+
+    revert() {
+        this.config.insertScreen(this.screenKey, deepClone(this.cells), this.position);
+    }
+
+    remapHiddenCells(hidden, undo) {
+        const result = new Map(hidden);
+        if (undo) {
+            if (this.hiddenCells) result.set(this.screenKey, this.hiddenCells);
+        } else {
+            this.hiddenCells = hidden.get(this.screenKey);
+            result.delete(this.screenKey);
+        }
+        return result;
+    }
+}
+
+// Snapshot edit of one engine PID table; consecutive edits of the same field merge
+class EngineTableCommand {
+    constructor(config, engine, after, options = {}) {
+        this.config = config;
+        this.engine = engine;
+        this.before = deepClone(config.getEngineSection(engine));
+        this.after = deepClone(after);
+        this.label = options.label || 'Edit engine table';
+        this.coalesceKey = options.coalesceKey || null;
+    }
+
+    isEmpty() {
+        return JSON.stringify(this.before) === JSON.stringify(this.after);
+    }
+
+    apply() {
+        return this.config.replaceSection(this.engine, deepClone(this.after));
+    }
+
+    revert() {
+        this.config.replaceSection(this.engine, deepClone(this.before));
+    }
+
+    merge(command) {
+        this.after = command.after;
+    }
+}
+
+// Structural edit across several sections (e.g. engine profiles), recorded as whole-document snapshots
+class DocumentEditCommand {
+    constructor(config, after, label, screenKey = null, screenMap = null) {
+        this.config = config;
+        this.before = config.data;
+        this.after = after;
+        this.label = label;
+        this.screenKey = screenKey; // Screen to show once applied, if any
+        this.screenMap = screenMap; // Old key -> new key of renumbered screens (see getScreenKeyMap)
+        this.cellIndex = 0;
+        this.affectsAll = true; // Every view must be rebuilt
+    }
+
+    apply() {
+        this.config.setData(this.after, this.config.etag);
+        return true;
+    }
+
+    revert() {
+        this.config.setData(this.before, this.config.etag);
+    }
+
+    // Hidden layers move with renumbered screens; other edits leave screens' cells in place
+    remapHiddenCells(hidden, undo) {
+        if (!this.screenMap) return hidden;
+        const map = undo
+            ? Object.fromEntries(Object.entries(this.screenMap).map(([from, to]) => [to, from]))
+            : this.screenMap;
+        const result = new Map();
+        if (!undo) this.droppedHidden = null;
+        hidden.forEach((indices, key) => {
+            if (key in map) {
+                result.set(map[key], indices);
+            } else if (!/^SCREEN_\d+$/.test(key)) {
+                result.set(key, indices);
+            } else if (!undo) {
+                this.droppedHidden = [key, indices]; // A deleted screen, restored by undo
+            }
+        });
+        if (undo && this.droppedHidden) result.set(...this.droppedHidden);
+        return result;
+    }
+}
+
+// Several commands recorded as one undo step
+class CompositeCommand {
+    constructor(commands, options = {}) {
+        this.commands = commands.filter(command => !(command.isEmpty && command.isEmpty()));
+        this.label = options.label || (this.commands[0] ? this.commands[0].label : 'Edit');
+        this.affectsAll = options.affectsAll || this.commands.some(command => command.affectsAll);
+        this.screenKey = this.commands.find(command => command.screenKey)?.screenKey;
+        this.cellIndex = this.commands.find(command => command.screenKey)?.cellIndex;
+    }
+
+    isEmpty() {
+        return this.commands.length === 0;
+    }
+
+    apply() {
+        for (let i = 0; i < this.commands.length; i++) {
+            if (this.commands[i].apply() === false) {
+                // Roll back what was already applied
+                for (let j = i - 1; j >= 0; j--) this.commands[j].revert();
+                return false;
+            }
+        }
+        return true;
+    }
+
+    revert() {
+        for (let i = this.commands.length - 1; i >= 0; i--) {
+            this.commands[i].revert();
+        }
+    }
+
+    remapHiddenCells(hidden, undo) {
+        const commands = undo ? this.commands.slice().reverse() : this.commands;
+        return commands.reduce((result, command) =>
+            command.remapHiddenCells ? command.remapHiddenCells(result, undo) : result, hidden);
+    }
+}
+
+class SettingsUpdateCommand {
+    constructor(config, changes) {
+        this.config = config;
+        this.changes = changes; // [{ section, key, before, after }]
+        this.label = 'Edit settings';
+    }
+
+    static fromUpdates(config, updates) {
+        const changes = updates
+            .filter(({ section, key, value }) => config.data?.[section] && config.data[section][key] !== value)
+            .map(({ section, key, value }) => ({ section, key, before: config.data[section][key], after: value }));
+        return new SettingsUpdateCommand(config, changes);
+    }
+
+    isEmpty() {
+        return this.changes.length === 0;
+    }
+
+    apply() {
+        this.changes.forEach(c => this.config.updateSetting(c.section, c.key, c.after));
+        return true;
+    }
+
+    revert() {
+        this.changes.forEach(c => this.config.updateSetting(c.section, c.key, c.before));
+    }
+}
+
+class HistoryManager {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxEntries = 100;
+        this.coalesceWindow = 1000; // Merge same-key edits made within 1 second
+        this.changeCallback = null;
+    }
+
+    // Apply a command and record it
+    execute(command) {
+        if (command.isEmpty && command.isEmpty()) return true;
+        const result = command.apply();
+        if (result === false) return false;
+        this.push(command);
+        return result;
+    }
+
+    // Record a command whose effect has already been applied (e.g. a finished canvas drag)
+    push(command) {
+        if (command.isEmpty && command.isEmpty()) return;
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (last && command.coalesceKey && last.coalesceKey === command.coalesceKey &&
+            now - last.timestamp < this.coalesceWindow && last.merge) {
+            last.merge(command);
+            last.timestamp = now;
+        } else {
+            command.timestamp = now;
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.maxEntries) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.notify(command, 'execute');
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.revert();
+        this.redoStack.push(command);
+        this.notify(command, 'undo');
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.apply();
+        command.timestamp = 0; // Never coalesce into a redone command
+        this.undoStack.push(command);
+        this.notify(command, 'redo');
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify(null, 'clear');
+    }
+
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    notify(command, action) {
+        if (this.changeCallback) {
+            this.changeCallback(command, action);
+        }
+    }
+}
+
+// ============================================================================
+// Config Import Manager
+// ============================================================================
+
+class ReplaceConfigCommand {
+    constructor(config, data, etag) {
+        this.config = config;
+        this.previousData = config.data;
+        this.previousEtag = config.etag;
+        this.data = data;
+        this.etag = etag;
+        this.affectsAll = true; // Every view must be rebuilt
+        this.label = 'Open configuration';
+    }
+
+    apply() {
+        this.config.setData(this.data, this.etag);
+        return true;
+    }
+
+    revert() {
+        this.config.setData(this.previousData, this.previousEtag);
+    }
+
+    // Another configuration starts with every cell shown
+    remapHiddenCells() {
+        return new Map();
+    }
+}
+
+class ConfigImportManager {
+    constructor(configManager, historyManager, deviceSyncManager) {
+        this.config = configManager;
+        this.history = historyManager;
+        this.deviceSync = deviceSyncManager;
+        this.pending = null; // { data, etag, source } awaiting confirmation
+        this.elements = {
+            openFileButton: document.getElementById('openFileButton'),
+            openUrlButton: document.getElementById('openUrlButton'),
+            loadFromDeviceButton: document.getElementById('loadFromDeviceButton'),
+            fileInput: document.getElementById('configFileInput'),
+            dropOverlay: document.getElementById('dropOverlay'),
+            dialog: document.getElementById('importDialog'),
+            dialogSource: document.getElementById('importSource'),
+            dialogSummary: document.getElementById('importSummary'),
+            dialogProblems: document.getElementById('importProblems'),
+            confirmButton: document.getElementById('importConfirm'),
+            cancelButton: document.getElementById('importCancel')
+        };
+    }
+
+    initialize() {
+        this.setupEventListeners();
     }
 
-    exportConfig() {
-        const json = JSON.stringify(this.data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'edited_config.json';
-        a.click();
-        URL.revokeObjectURL(url);
+    setupEventListeners() {
+        this.elements.openFileButton.addEventListener('click', () => {
+            this.elements.fileInput.value = '';
+            this.elements.fileInput.click();
+        });
+
+        this.elements.fileInput.addEventListener('change', () => {
+            const file = this.elements.fileInput.files[0];
+            if (file) this.importFile(file);
+        });
+
+        this.elements.openUrlButton.addEventListener('click', () => {
+            const url = prompt('Configuration URL:', 'http://');
+            if (url) this.importUrl(url);
+        });
+
+        this.elements.loadFromDeviceButton.addEventListener('click', () => {
+            this.importFromDevice();
+        });
+
+        this.elements.confirmButton.addEventListener('click', () => {
+            this.confirmImport();
+        });
+
+        this.elements.cancelButton.addEventListener('click', () => {
+            this.closeDialog();
+        });
+
+        // Drag-and-drop a file anywhere on the page
+        document.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.elements.dropOverlay.classList.remove('hidden');
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            // Only when leaving the window, not when moving between child elements
+            if (!e.relatedTarget) {
+                this.elements.dropOverlay.classList.add('hidden');
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            this.elements.dropOverlay.classList.add('hidden');
+            this.importFile(e.dataTransfer.files[0]);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.dialog.classList.contains('hidden')) {
+                this.closeDialog();
+            }
+        });
+    }
+
+    async importFile(file) {
+        try {
+            const text = await file.text();
+            this.review(text, file.name, this.config.etag);
+        } catch (error) {
+            this.review(null, file.name, null, 'Could not read file: ' + error.message);
+        }
+    }
+
+    async importUrl(url) {
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.review(await response.text(), url, this.config.etag);
+        } catch (error) {
+            this.review(null, url, null, 'Could not fetch configuration: ' + error.message);
+        }
+    }
+
+    async importFromDevice() {
+        const url = this.deviceSync.getConfigUrl();
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            // The device copy becomes the version future saves are checked against
+            this.review(await response.text(), 'Device (' + url + ')', response.headers.get('ETag'));
+        } catch (error) {
+            this.review(null, 'Device (' + url + ')', null, 'Could not load from device: ' + error.message);
+        }
+    }
+
+    // Parse and validate, then show the problem list for confirmation
+    review(text, source, etag, loadError = null) {
+        let data = null;
+        let problems = [];
+
+        if (loadError) {
+            problems = [{ severity: 'error', path: '', message: loadError }];
+        } else {
+            try {
+                data = JSON.parse(text);
+                problems = validateConfig(data);
+            } catch (e) {
+                problems = [{ severity: 'error', path: '', message: 'Not valid JSON: ' + e.message }];
+            }
+        }
+
+        const hasErrors = problems.some(p => p.severity === 'error');
+        this.pending = hasErrors ? null : { data, etag, source };
+        this.showDialog(source, problems);
+    }
+
+    showDialog(source, problems) {
+        const errors = problems.filter(p => p.severity === 'error').length;
+        const warnings = problems.length - errors;
+
+        this.elements.dialogSource.textContent = source;
+        if (problems.length === 0) {
+            this.elements.dialogSummary.textContent = 'No problems found. Replace the current configuration?';
+        } else if (errors > 0) {
+            this.elements.dialogSummary.textContent = `${errors} error(s) and ${warnings} warning(s). Fix the errors before opening this configuration.`;
+        } else {
+            this.elements.dialogSummary.textContent = `${warnings} warning(s). The configuration can still be opened.`;
+        }
+
+        this.elements.dialogProblems.innerHTML = problems.map(p => `
+            <li class="problem-item problem-${p.severity}">
+                <span class="problem-severity">${p.severity}</span>
+                ${p.path ? `<code class="problem-path">${escapeHtml(p.path)}</code>` : ''}
+                <span class="problem-message">${escapeHtml(p.message)}</span>
+            </li>
+        `).join('');
+
+        this.elements.confirmButton.disabled = !this.pending;
+        this.elements.dialog.classList.remove('hidden');
+    }
+
+    closeDialog() {
+        this.pending = null;
+        this.elements.dialog.classList.add('hidden');
+    }
+
+    confirmImport() {
+        if (!this.pending) return;
+        const { data, etag, source } = this.pending;
+        this.history.execute(new ReplaceConfigCommand(this.config, data, etag));
+        this.closeDialog();
+
+        const statusText = document.getElementById('statusText');
+        if (statusText) {
+            statusText.textContent = 'Opened ' + source;
+            statusText.className = 'status-success';
+        }
+    }
+}
+
+// ============================================================================
+// Layout Tools (Snapping, Guides, Align & Distribute)
+// ============================================================================
+
+class LayoutTools {
+    constructor() {
+        this.snapToGrid = localStorage.getItem('layoutSnapToGrid') === 'true';
+        this.gridSize = parseInt(localStorage.getItem('layoutGridSize'), 10) || 10;
+        this.showGuides = localStorage.getItem('layoutShowGuides') !== 'false';
+        this.guideThreshold = 5; // Screen pixels within which an edge snaps to a guide
+    }
+
+    setSnapToGrid(enabled) {
+        this.snapToGrid = enabled;
+        localStorage.setItem('layoutSnapToGrid', String(enabled));
+    }
+
+    setGridSize(size) {
+        this.gridSize = Math.max(2, Math.min(64, parseInt(size, 10) || 10));
+        localStorage.setItem('layoutGridSize', String(this.gridSize));
+        return this.gridSize;
+    }
+
+    setShowGuides(enabled) {
+        this.showGuides = enabled;
+        localStorage.setItem('layoutShowGuides', String(enabled));
+    }
+
+    // Candidate guide positions: other cells' edges and centres plus the panel edges and centre
+    getGuideTargets(others, panel) {
+        const xs = [0, panel.width / 2, panel.width];
+        const ys = [0, panel.height / 2, panel.height];
+        others.forEach(r => {
+            xs.push(r.x, r.x + r.w / 2, r.x + r.w);
+            ys.push(r.y, r.y + r.h / 2, r.y + r.h);
+        });
+        return { xs, ys };
+    }
+
+    // Closest target to any of the given points, as { offset, position } or null
+    findSnap(points, targets, threshold) {
+        let best = null;
+        points.forEach(point => {
+            targets.forEach(target => {
+                const offset = target - point;
+                if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset, position: target };
+                }
+            });
+        });
+        return best;
+    }
+
+    snapToGridValue(value) {
+        return Math.round(value / this.gridSize) * this.gridSize;
+    }
+
+    /**
+     * Snap a moved rectangle. Guides win over the grid when an edge is close to one.
+     * Returns { x, y, guides } where guides is [{ axis: 'x' | 'y', position }].
+     */
+    snapMove(rect, others, panel, zoomLevel) {
+        let { x, y } = rect;
+        const guides = [];
+        const threshold = this.guideThreshold / zoomLevel;
+        let snappedX = false;
+        let snappedY = false;
+
+        if (this.showGuides) {
+            const targets = this.getGuideTargets(others, panel);
+            const snapX = this.findSnap([x, x + rect.w / 2, x + rect.w], targets.xs, threshold);
+            const snapY = this.findSnap([y, y + rect.h / 2, y + rect.h], targets.ys, threshold);
+            if (snapX) {
+                x += snapX.offset;
+                guides.push({ axis: 'x', position: snapX.position });
+                snappedX = true;
+            }
+            if (snapY) {
+                y += snapY.offset;
+                guides.push({ axis: 'y', position: snapY.position });
+                snappedY = true;
+            }
+        }
+
+        if (this.snapToGrid) {
+            if (!snappedX) x = this.snapToGridValue(x);
+            if (!snappedY) y = this.snapToGridValue(y);
+        }
+
+        return { x: Math.round(x), y: Math.round(y), guides };
+    }
+
+    /**
+     * Snap the edges a resize handle moves (handle names as in CanvasManager.getResizeHandles).
+     * Returns { left, top, right, bottom, guides }.
+     */
+    snapResize(edges, handle, others, panel, zoomLevel) {
+        const result = { ...edges, guides: [] };
+        const threshold = this.guideThreshold / zoomLevel;
+        const targets = this.getGuideTargets(others, panel);
+        const moving = [
+            { edge: 'left', axis: 'x', active: handle.includes('w') },
+            { edge: 'right', axis: 'x', active: handle.includes('e') },
+            { edge: 'top', axis: 'y', active: handle.includes('n') },
+            { edge: 'bottom', axis: 'y', active: handle.includes('s') }
+        ];
+
+        moving.filter(m => m.active).forEach(m => {
+            const snap = this.showGuides
+                ? this.findSnap([result[m.edge]], m.axis === 'x' ? targets.xs : targets.ys, threshold)
+                : null;
+            if (snap) {
+                result[m.edge] = Math.round(snap.position);
+                result.guides.push({ axis: m.axis, position: snap.position });
+            } else if (this.snapToGrid) {
+                result[m.edge] = this.snapToGridValue(result[m.edge]);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * New positions for aligning rects. With one rect it is aligned to the panel,
+     * otherwise to the bounding box of all of them. Returns [{ x, y }] in input order.
+     */
+    align(rects, mode, panel) {
+        const box = rects.length === 1
+            ? { left: 0, top: 0, right: panel.width, bottom: panel.height }
+            : {
+                left: Math.min(...rects.map(r => r.x)),
+                top: Math.min(...rects.map(r => r.y)),
+                right: Math.max(...rects.map(r => r.x + r.w)),
+                bottom: Math.max(...rects.map(r => r.y + r.h))
+            };
+
+        return rects.map(r => {
+            switch (mode) {
+                case 'left': return { x: box.left, y: r.y };
+                case 'center': return { x: Math.round((box.left + box.right - r.w) / 2), y: r.y };
+                case 'right': return { x: box.right - r.w, y: r.y };
+                case 'top': return { x: r.x, y: box.top };
+                case 'middle': return { x: r.x, y: Math.round((box.top + box.bottom - r.h) / 2) };
+                case 'bottom': return { x: r.x, y: box.bottom - r.h };
+                default: return { x: r.x, y: r.y };
+            }
+        });
+    }
+
+    /**
+     * Spread three or more rects so the gaps between them are equal, keeping the
+     * outermost two in place. axis is 'x' (horizontal) or 'y' (vertical).
+     */
+    distribute(rects, axis) {
+        const positions = rects.map(r => ({ x: r.x, y: r.y }));
+        if (rects.length < 3) return positions;
+
+        const pos = axis === 'x' ? 'x' : 'y';
+        const size = axis === 'x' ? 'w' : 'h';
+        const order = rects.map((r, idx) => idx).sort((a, b) => rects[a][pos] - rects[b][pos]);
+        const first = rects[order[0]];
+        const last = rects[order[order.length - 1]];
+        const totalSize = order.reduce((sum, idx) => sum + rects[idx][size], 0);
+        const gap = (last[pos] + last[size] - first[pos] - totalSize) / (order.length - 1);
+
+        let cursor = first[pos];
+        order.forEach(idx => {
+            positions[idx][pos] = Math.round(cursor);
+            cursor += rects[idx][size] + gap;
+        });
+        return positions;
+    }
+}
+
+/**
+ * New paint order for count cells after moving the selected indices one step
+ * ('forward', 'backward') or all the way ('front', 'back'), keeping their relative order.
+ * Returns the old index for each new position.
+ */
+function getLayerOrder(count, indices, direction) {
+    const order = Array.from({ length: count }, (value, idx) => idx);
+    const selected = idx => indices.includes(idx);
+
+    if (direction === 'front') {
+        return order.filter(idx => !selected(idx)).concat(order.filter(selected));
+    }
+    if (direction === 'back') {
+        return order.filter(selected).concat(order.filter(idx => !selected(idx)));
+    }
+    if (direction === 'forward') {
+        for (let i = count - 2; i >= 0; i--) {
+            if (selected(order[i]) && !selected(order[i + 1])) [order[i], order[i + 1]] = [order[i + 1], order[i]];
+        }
+    } else if (direction === 'backward') {
+        for (let i = 1; i < count; i++) {
+            if (selected(order[i]) && !selected(order[i - 1])) [order[i], order[i - 1]] = [order[i - 1], order[i]];
+        }
+    }
+    return order;
+}
+
+/**
+ * Copy of hidden (screenKey -> Set of cell indices hidden in the editor preview) with
+ * screenKey's indices passed through fn, which returns -1 for a cell that is gone.
+ * Commands that move cells use it in remapHiddenCells(hidden, undo).
+ */
+function mapHiddenCells(hidden, screenKey, fn) {
+    const indices = hidden.get(screenKey);
+    if (!indices) return hidden;
+    const result = new Map(hidden);
+    result.set(screenKey, new Set([...indices].map(fn).filter(idx => idx >= 0)));
+    return result;
+}
+
+// ============================================================================
+// Cell Clipboard
+// ============================================================================
+
+// Marks clipboard text as editor cells: { "format": "t-display-cells", "version": 1, "cells": [...] }
+const CELL_CLIPBOARD_FORMAT = 't-display-cells';
+
+function serializeCellClipboard(cells) {
+    return JSON.stringify({ format: CELL_CLIPBOARD_FORMAT, version: 1, cells }, null, 2);
+}
+
+/**
+ * Cells from clipboard text, or null when it holds none. Besides the editor's own
+ * format, a bare cell or list of cells copied out of a config.json is accepted.
+ */
+function parseCellClipboard(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+
+    let cells = data;
+    if (data && data.format === CELL_CLIPBOARD_FORMAT) {
+        cells = data.cells;
+    } else if (data && !Array.isArray(data) && typeof data === 'object') {
+        cells = [data];
+    }
+    const isCell = cell => cell && typeof cell === 'object' && !Array.isArray(cell) && 'posx' in cell && 'posy' in cell;
+    if (!Array.isArray(cells) || cells.length === 0 || !cells.every(isCell)) return null;
+    return deepClone(cells);
+}
+
+/**
+ * Copies of cells moved as a group by step pixels until none lands exactly on a cell
+ * of existing (so a paste onto its own screen is visible), kept inside panel { width, height }.
+ */
+function placePastedCells(cells, existing, panel, step = 10) {
+    const rects = cells.map(cell => ({
+        x: parseInt(cell.posx, 10) || 0,
+        y: parseInt(cell.posy, 10) || 0,
+        w: parseInt(cell.sizex, 10) || 0,
+        h: parseInt(cell.sizey, 10) || 0
+    }));
+    const taken = new Set(existing.map(cell => `${parseInt(cell.posx, 10)},${parseInt(cell.posy, 10)}`));
+    const minX = Math.min(...rects.map(r => r.x));
+    const maxX = Math.max(...rects.map(r => r.x + r.w));
+    const minY = Math.min(...rects.map(r => r.y));
+    const maxY = Math.max(...rects.map(r => r.y + r.h));
+
+    // Step up/left instead where the group would run off the panel, else keep it against the edge
+    const shift = (offset, min, max, limit) => {
+        if (max + offset <= limit) return offset;
+        if (min - offset >= 0) return -offset;
+        return Math.max(-min, Math.min(offset, limit - max));
+    };
+
+    // Check each offset in the direction it will actually be applied
+    let dx = 0;
+    let dy = 0;
+    for (let attempt = 0; attempt <= 20; attempt++) {
+        dx = shift(attempt * step, minX, maxX, panel.width);
+        dy = shift(attempt * step, minY, maxY, panel.height);
+        if (!rects.some(r => taken.has(`${r.x + dx},${r.y + dy}`))) break;
+    }
+
+    return cells.map((cell, i) => ({
+        ...deepClone(cell),
+        posx: String(rects[i].x + dx),
+        posy: String(rects[i].y + dy)
+    }));
+}
+
+// ============================================================================
+// Screen Generator
+// ============================================================================
+
+/**
+ * Layout presets for generated screens. Grid presets are cols x rows;
+ * 'big-strip' is one large value on top with a strip of up to four below.
+ */
+const LAYOUT_PRESETS = {
+    '1x1': { label: '1 x 1', cols: 1, rows: 1, capacity: 1 },
+    '2x1': { label: '2 x 1', cols: 2, rows: 1, capacity: 2 },
+    '2x2': { label: '2 x 2', cols: 2, rows: 2, capacity: 4 },
+    '3x2': { label: '3 x 2', cols: 3, rows: 2, capacity: 6 },
+    '3x3': { label: '3 x 3', cols: 3, rows: 3, capacity: 9 },
+    'big-strip': { label: 'Big value + strip', capacity: 5 }
+};
+
+// Largest first; the first one whose sample text fits the cell is used
+const GENERATOR_VALUE_FONTS = ['ds_digital_bold80_FS', 'ds_digital_bold44_FS', 'Font4', 'Font2', 'GLCD'];
+const GENERATOR_LABEL_FONTS = ['RobotoBlack20', 'RobotoBlack16', 'GLCD'];
+
+// Split length into count spans separated by gap, spreading the remainder (0/107/214 for 3 x 320)
+function splitSpan(length, count, gap) {
+    const spans = [];
+    for (let i = 0; i < count; i++) {
+        const start = Math.round(i * (length + gap) / count);
+        const end = Math.round((i + 1) * (length + gap) / count) - gap;
+        spans.push({ start, size: end - start });
+    }
+    return spans;
+}
+
+/**
+ * Build cell geometry and fonts for a generated screen.
+ * options: { width, height, gap, measure(text, font) -> { width, height } }
+ * Returns [{ data1, name, posx, posy, sizex, sizey, font1, font2 }] (numbers as strings).
+ * Grid rows that are not full stretch their cells across the panel.
+ */
+function generateScreenLayout(dataSources, presetKey, options) {
+    const preset = LAYOUT_PRESETS[presetKey];
+    if (!preset) throw new Error(`Unknown layout preset "${presetKey}"`);
+
+    const { width, height, gap = 1, measure } = options;
+    const sources = dataSources.slice(0, preset.capacity);
+    const rects = [];
+
+    if (presetKey === 'big-strip') {
+        if (sources.length <= 1) {
+            rects.push({ x: 0, y: 0, w: width, h: height });
+        } else {
+            const bigHeight = Math.round((height - gap) * 0.65);
+            rects.push({ x: 0, y: 0, w: width, h: bigHeight });
+            splitSpan(width, sources.length - 1, gap).forEach(col => {
+                rects.push({ x: col.start, y: bigHeight + gap, w: col.size, h: height - bigHeight - gap });
+            });
+        }
+    } else {
+        const rowCount = Math.min(preset.rows, Math.ceil(sources.length / preset.cols));
+        const rows = splitSpan(height, rowCount, gap);
+        rows.forEach((row, r) => {
+            const inRow = Math.min(preset.cols, sources.length - r * preset.cols);
+            splitSpan(width, inRow, gap).forEach(col => {
+                rects.push({ x: col.start, y: row.start, w: col.size, h: row.size });
+            });
+        });
+    }
+
+    const padding = 3;
+    return sources.map((source, idx) => {
+        const rect = rects[idx];
+        const name = dataKeyToName(source);
+
+        // Label takes roughly the top third at most, the value gets the rest
+        const labelFont = GENERATOR_LABEL_FONTS.find(font => measure('Ag', font).height <= rect.h * 0.3)
+            || GENERATOR_LABEL_FONTS[GENERATOR_LABEL_FONTS.length - 1];
+        const labelHeight = measure('Ag', labelFont).height;
+        const valueFont = GENERATOR_VALUE_FONTS.find(font => {
+            const size = measure('88.8', font);
+            return size.height <= rect.h - labelHeight - padding * 2 && size.width <= rect.w - padding * 2;
+        }) || GENERATOR_VALUE_FONTS[GENERATOR_VALUE_FONTS.length - 1];
+
+        return {
+            data1: source,
+            name: name,
+            posx: String(rect.x),
+            posy: String(rect.y),
+            sizex: String(rect.w),
+            sizey: String(rect.h),
+            font1: valueFont,
+            font2: labelFont
+        };
+    });
+}
+
+class ScreenGeneratorManager {
+    constructor(configManager, canvasManager, historyManager, uiManager) {
+        this.config = configManager;
+        this.canvas = canvasManager;
+        this.history = historyManager;
+        this.ui = uiManager;
+        this.chosen = []; // Data sources in the order they were ticked
+        this.elements = {
+            openButton: document.getElementById('generateScreen'),
+            dialog: document.getElementById('generateDialog'),
+            preset: document.getElementById('generatePreset'),
+            filter: document.getElementById('generateFilter'),
+            sources: document.getElementById('generateSources'),
+            summary: document.getElementById('generateSummary'),
+            confirmButton: document.getElementById('generateConfirm'),
+            cancelButton: document.getElementById('generateCancel')
+        };
+    }
+
+    initialize() {
+        if (!this.elements.dialog) return;
+
+        this.elements.preset.innerHTML = Object.entries(LAYOUT_PRESETS).map(([key, preset]) =>
+            `<option value="${key}">${preset.label} (${preset.capacity} cell${preset.capacity > 1 ? 's' : ''})</option>`
+        ).join('');
+        this.elements.preset.value = '3x3';
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.elements.openButton.addEventListener('click', () => {
+            this.openDialog();
+        });
+
+        this.elements.preset.addEventListener('change', () => {
+            this.updateSummary();
+        });
+
+        this.elements.filter.addEventListener('input', () => {
+            this.renderSources();
+        });
+
+        this.elements.sources.addEventListener('change', (e) => {
+            if (!e.target.matches('input[type="checkbox"]')) return;
+            const source = e.target.value;
+            this.chosen = this.chosen.filter(s => s !== source);
+            if (e.target.checked) this.chosen.push(source);
+            this.renderSources();
+        });
+
+        this.elements.confirmButton.addEventListener('click', () => {
+            this.generate();
+        });
+
+        this.elements.cancelButton.addEventListener('click', () => {
+            this.closeDialog();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.dialog.classList.contains('hidden')) {
+                this.closeDialog();
+            }
+        });
+    }
+
+    getDataSources() {
+        const engineData = this.ui.getCurrentEngineData();
+        return Object.keys(engineData).filter(k => !k.endsWith('_RES')).concat(DEVICE_DATA_SOURCES);
+    }
+
+    openDialog() {
+        if (!this.config.data) return;
+        this.chosen = [];
+        this.elements.filter.value = '';
+        this.renderSources();
+        this.elements.dialog.classList.remove('hidden');
+    }
+
+    closeDialog() {
+        this.elements.dialog.classList.add('hidden');
+    }
+
+    // Checkbox list; ticked sources show their cell number
+    renderSources() {
+        const filter = this.elements.filter.value.trim().toLowerCase();
+        const engineData = this.ui.getCurrentEngineData();
+        const sources = this.getDataSources()
+            .map(source => describeDataSource(source, engineData))
+            .filter(info => !filter || `${info.key} ${info.label} ${info.description}`.toLowerCase().includes(filter));
+
+        this.elements.sources.innerHTML = sources.map(info => {
+            const source = info.key;
+            const order = this.chosen.indexOf(source);
+            return `
+                <li class="source-item">
+                    <label>
+                        <input type="checkbox" value="${escapeHtml(source)}" ${order >= 0 ? 'checked' : ''}>
+                        <span class="source-key">${escapeHtml(source)}</span>
+                        <span class="source-desc">${escapeHtml(formatDataSourceDetails(info))}</span>
+                        ${order >= 0 ? `<span class="source-order">${order + 1}</span>` : ''}
+                    </label>
+                </li>
+            `;
+        }).join('') || '<li class="source-empty">No matching data sources</li>';
+
+        this.updateSummary();
+    }
+
+    updateSummary() {
+        const preset = LAYOUT_PRESETS[this.elements.preset.value];
+        const count = this.chosen.length;
+
+        if (count === 0) {
+            this.elements.summary.textContent = `Tick up to ${preset.capacity} data sources. Cells are filled in the order you tick them.`;
+        } else if (count > preset.capacity) {
+            this.elements.summary.textContent = `${count} data sources selected but ${preset.label} holds ${preset.capacity}; untick ${count - preset.capacity}.`;
+        } else {
+            this.elements.summary.textContent = `${count} of ${preset.capacity} cells will be generated.`;
+        }
+
+        this.elements.confirmButton.disabled = count === 0 || count > preset.capacity;
+    }
+
+    generate() {
+        const presetKey = this.elements.preset.value;
+        const layout = generateScreenLayout(this.chosen, presetKey, {
+            width: this.canvas.canvas.width,
+            height: this.canvas.canvas.height,
+            measure: (text, font) => this.canvas.fonts.measure(text, font)
+        });
+
+        // Start from the regular new-cell defaults (colours) and apply the generated layout,
+        // naming cells and choosing decimals from the data dictionary
+        const engineData = this.ui.getCurrentEngineData();
+        const cells = layout.map(item => {
+            const info = describeDataSource(item.data1, engineData);
+            return {
+                ...this.config.createCell(item.name),
+                ...item,
+                name: formatDataSourceName(info),
+                decimals: String(info.decimals)
+            };
+        });
+        const screenKey = this.config.getNextScreenKey();
+        const command = new AddScreenCommand(this.config, screenKey, cells, Object.keys(this.config.data).length, 'Generate screen');
+
+        if (!this.history.execute(command)) {
+            this.ui.updateStatus('Failed to generate screen', 'error');
+            return;
+        }
+
+        this.closeDialog();
+        this.ui.refreshEditor(screenKey, 0);
+        this.ui.updateStatus(`${screenKey.replace('SCREEN_', 'Screen ')} generated with ${cells.length} cell${cells.length > 1 ? 's' : ''}`, 'success');
     }
 }
 
@@ -705,14 +5969,18 @@ class ConfigManager {
 // ============================================================================
 
 class UIManager {
-    constructor(configManager, canvasManager) {
+    constructor(configManager, canvasManager, historyManager, deviceSyncManager) {
         this.config = configManager;
         this.canvas = canvasManager;
+        this.history = historyManager;
+        this.deviceSync = deviceSyncManager;
+        this.layoutTools = new LayoutTools();
         this.elements = {
             screenSelect: document.getElementById('screenSelect'),
             cellSelect: document.getElementById('cellSelect'),
             cellDetails: document.getElementById('cellDetails'),
             saveButton: document.getElementById('saveButton'),
+            saveToDeviceButton: document.getElementById('saveToDeviceButton'),
             statusText: document.getElementById('statusText'),
             zoomIn: document.getElementById('zoomIn'),
             zoomOut: document.getElementById('zoomOut'),
@@ -721,9 +5989,100 @@ class UIManager {
             clearSelection: document.getElementById('clearSelection'),
             addScreen: document.getElementById('addScreen'),
             deleteScreen: document.getElementById('deleteScreen'),
+            duplicateScreen: document.getElementById('duplicateScreen'),
+            renameScreen: document.getElementById('renameScreen'),
+            arrangeScreens: document.getElementById('arrangeScreens'),
+            screenList: document.getElementById('screenList'),
             addCell: document.getElementById('addCell'),
-            deleteCell: document.getElementById('deleteCell')
+            duplicateCells: document.getElementById('duplicateCells'),
+            layerActions: document.getElementById('layerActions'),
+            layerList: document.getElementById('layerList'),
+            disabledCellsMode: document.getElementById('disabledCellsMode'),
+            deleteCell: document.getElementById('deleteCell'),
+            layoutIssues: document.getElementById('layoutIssues'),
+            snapToGrid: document.getElementById('snapToGrid'),
+            gridSize: document.getElementById('gridSize'),
+            showGuides: document.getElementById('showGuides'),
+            layoutToolbar: document.getElementById('layoutToolbar'),
+            undoButton: document.getElementById('undoButton'),
+            redoButton: document.getElementById('redoButton'),
+            liveOverlay: document.getElementById('liveOverlay'),
+            liveOverlayStatus: document.getElementById('liveOverlayStatus')
         };
+        this.live = null; // LiveDataManager, attached once the live page is set up
+        this.liveOverlay = false; // Preview cells with the latest live values instead of samples
+        this.dragState = null; // Active canvas move/resize/rubber-band operation
+        this.selection = []; // Indices of all selected cells; cellSelect holds the primary one
+        this.layerListSignature = null; // What the layer list rows were last built from
+        this.hiddenCells = new Map(); // screenKey -> Set of cell indices hidden in the preview (editor only)
+        this.cellClipboard = null; // Last copied cells as clipboard text, for when the system clipboard is unavailable
+        this.ruleTestValue = null; // Value previewed on the selected cells while editing rules
+        this.blinkTimer = null;
+
+        // Show a realistic value on each cell: text for string PIDs, a number with the cell's decimals otherwise
+        this.canvas.valueProvider = (cell) => this.getPreviewValue(cell);
+        this.canvas.disabledCells = localStorage.getItem('editorDisabledCells') === 'hidden' ? 'hidden' : 'hatched';
+    }
+
+    getPreviewValue(cell) {
+        // The rules panel's test value previews the selected cells
+        if (this.ruleTestValue !== null) {
+            const cells = this.config.getScreen(this.elements.screenSelect.value);
+            if (this.getSelectedIndices().some(idx => cells[idx] === cell)) {
+                return this.ruleTestValue;
+            }
+        }
+        // Live overlay: the real value, or a dash until the source has sent one
+        if (this.liveOverlay && this.live) {
+            return this.live.getLatestValue(cell.data1) ?? '--';
+        }
+        const engineData = this.getCurrentEngineData();
+        if (engineData[`${cell.data1}_RES`] === 'string') {
+            return 'WF0XXXGCDX';
+        }
+        return this.canvas.sampleValue;
+    }
+
+    attachLiveData(liveDataManager) {
+        this.live = liveDataManager;
+        this.live.onFrame(() => {
+            if (this.liveOverlay && !this.dragState && this.isEditorVisible()) {
+                this.redrawCanvas(this.elements.screenSelect.value, parseInt(this.elements.cellSelect.value, 10));
+            }
+        });
+        this.live.onConnectionChange((status, message) => this.updateLiveOverlayStatus(status, message));
+
+        if (this.elements.liveOverlay) {
+            this.elements.liveOverlay.addEventListener('change', () => {
+                this.setLiveOverlay(this.elements.liveOverlay.checked);
+            });
+        }
+        if (localStorage.getItem('editorLiveOverlay') === 'true') {
+            this.setLiveOverlay(true);
+        }
+    }
+
+    setLiveOverlay(enabled) {
+        this.liveOverlay = enabled;
+        localStorage.setItem('editorLiveOverlay', String(enabled));
+        if (this.elements.liveOverlay) this.elements.liveOverlay.checked = enabled;
+        if (this.elements.liveOverlayStatus) this.elements.liveOverlayStatus.classList.toggle('hidden', !enabled);
+
+        this.live.setOverlayActive(enabled);
+        this.updateLiveOverlayStatus(this.live.connectionStatus, this.live.connectionMessage);
+        this.redrawCanvas(this.elements.screenSelect.value, parseInt(this.elements.cellSelect.value, 10));
+    }
+
+    updateLiveOverlayStatus(status, message) {
+        const statusEl = this.elements.liveOverlayStatus;
+        if (!statusEl) return;
+        statusEl.textContent = message;
+        statusEl.className = `live-overlay-status status-${status}` + (this.liveOverlay ? '' : ' hidden');
+    }
+
+    getCurrentEngineData() {
+        const currentEngine = this.config.data?.CURRENT_ENGINE?.engine_type || 'CNHC';
+        return this.config.data?.[currentEngine] || {};
     }
 
     initialize() {
@@ -731,9 +6090,18 @@ class UIManager {
         this.setupEventListeners();
         this.updateZoomDisplay();
         this.updateZoomButtons();
+        this.updateHistoryButtons();
+        this.initializeLayoutToolbar();
         this.selectDefaultScreen();
     }
 
+    initializeLayoutToolbar() {
+        if (this.elements.snapToGrid) this.elements.snapToGrid.checked = this.layoutTools.snapToGrid;
+        if (this.elements.gridSize) this.elements.gridSize.value = this.layoutTools.gridSize;
+        if (this.elements.showGuides) this.elements.showGuides.checked = this.layoutTools.showGuides;
+        this.updateAlignButtons();
+    }
+
     populateScreenDropdown() {
         const screenKeys = this.config.getScreenKeys();
         this.elements.screenSelect.innerHTML = '';
@@ -741,9 +6109,148 @@ class UIManager {
         screenKeys.forEach(key => {
             const option = document.createElement('option');
             option.value = key;
-            option.textContent = key.replace('SCREEN_', 'Screen ');
+            option.textContent = formatScreenLabel(this.config.data, key);
             this.elements.screenSelect.appendChild(option);
         });
+        this.renderScreenList();
+    }
+
+    // Sortable list of screens shown by the Arrange button
+    renderScreenList() {
+        const list = this.elements.screenList;
+        if (!list || list.classList.contains('hidden') || !this.config.data) return;
+
+        const current = this.elements.screenSelect.value;
+        const screens = getScreenList(this.config.data);
+        list.innerHTML = screens.map((screen, i) => `
+            <li class="screen-list-item ${screen.key === current ? 'active' : ''}" draggable="true" data-index="${i}" data-screen="${screen.key}">
+                <span class="screen-list-label">${escapeHtml(formatScreenLabel(this.config.data, screen.key))}</span>
+                <span class="screen-list-count" title="Cells">${screen.cells.length}</span>
+                <button class="btn-icon" data-move="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor"><polyline points="6 15 12 9 18 15" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>
+                </button>
+                <button class="btn-icon" data-move="1" title="Move down" ${i === screens.length - 1 ? 'disabled' : ''}>
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor"><polyline points="6 9 12 15 18 9" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>
+                </button>
+            </li>
+        `).join('');
+    }
+
+    setupScreenListEvents() {
+        const list = this.elements.screenList;
+        if (!list) return;
+        let dragFrom = null;
+
+        const clearDropMarkers = () => {
+            list.querySelectorAll('.drop-before, .drop-after, .dragging')
+                .forEach(item => item.classList.remove('drop-before', 'drop-after', 'dragging'));
+        };
+        // Insert position (0..n) in the list for a pointer over item
+        const dropPosition = (item, e) => {
+            const rect = item.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            return { after, position: parseInt(item.dataset.index, 10) + (after ? 1 : 0) };
+        };
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.screen-list-item');
+            if (!item) return;
+            const index = parseInt(item.dataset.index, 10);
+            const moveButton = e.target.closest('[data-move]');
+            if (moveButton) {
+                this.moveScreen(index, index + parseInt(moveButton.dataset.move, 10));
+            } else {
+                this.elements.screenSelect.value = item.dataset.screen;
+                this.elements.screenSelect.dispatchEvent(new Event('change'));
+            }
+        });
+
+        list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.screen-list-item');
+            if (!item) return;
+            dragFrom = parseInt(item.dataset.index, 10);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.screen);
+        });
+
+        list.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.screen-list-item');
+            if (dragFrom === null || !item) return;
+            e.preventDefault();
+            const { after } = dropPosition(item, e);
+            list.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+            item.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+
+        list.addEventListener('drop', (e) => {
+            const item = e.target.closest('.screen-list-item');
+            if (dragFrom === null || !item) return;
+            e.preventDefault();
+            const { position } = dropPosition(item, e);
+            const from = dragFrom;
+            dragFrom = null;
+            clearDropMarkers();
+            this.moveScreen(from, position > from ? position - 1 : position);
+        });
+
+        list.addEventListener('dragend', () => {
+            dragFrom = null;
+            clearDropMarkers();
+        });
+    }
+
+    // Move the screen at index from to index to; SCREEN_n keys follow the new order
+    moveScreen(from, to) {
+        const screens = getScreenList(this.config.data);
+        if (from === to || to < 0 || to >= screens.length) return;
+
+        const label = formatScreenLabel(this.config.data, screens[from].key);
+        const [moved] = screens.splice(from, 1);
+        screens.splice(to, 0, moved);
+
+        const newKey = `SCREEN_${to + 1}`;
+        this.history.execute(new DocumentEditCommand(this.config, rebuildScreens(this.config.data, screens), `Move ${label}`, newKey,
+            getScreenKeyMap(screens)));
+        this.updateStatus(`${label} is now Screen ${to + 1}`, 'success');
+    }
+
+    onDuplicateScreen() {
+        const screenKey = this.elements.screenSelect.value;
+        const screens = getScreenList(this.config.data || {});
+        const index = screens.findIndex(screen => screen.key === screenKey);
+        if (index < 0) {
+            this.updateStatus('No screen selected', 'error');
+            return;
+        }
+
+        const source = screens[index];
+        const label = formatScreenLabel(this.config.data, screenKey);
+        screens.splice(index + 1, 0, { cells: source.cells, title: source.title ? `${source.title} (copy)` : '' });
+
+        const newKey = `SCREEN_${index + 2}`;
+        this.history.execute(new DocumentEditCommand(this.config, rebuildScreens(this.config.data, screens), `Duplicate ${label}`, newKey,
+            getScreenKeyMap(screens)));
+        const renumbered = index + 2 < screens.length ? '; later screens renumbered' : '';
+        this.updateStatus(`${label} copied to Screen ${index + 2}${renumbered}`, 'success');
+    }
+
+    onRenameScreen() {
+        const screenKey = this.elements.screenSelect.value;
+        if (!screenKey) {
+            this.updateStatus('No screen selected', 'error');
+            return;
+        }
+
+        const current = getScreenTitle(this.config.data, screenKey);
+        const input = prompt(`Title for ${screenKey.replace('SCREEN_', 'Screen ')} (empty to remove):`, current);
+        if (input === null) return;
+        const title = input.trim();
+        if (title === current) return;
+
+        const after = setScreenTitle(this.config.data, screenKey, title);
+        this.history.execute(new DocumentEditCommand(this.config, after, 'Set screen title', screenKey));
+        this.updateStatus(title ? `Screen titled "${title}"` : 'Screen title removed', 'success');
     }
 
     populateCellDropdown(screenKey) {
@@ -756,6 +6263,7 @@ class UIManager {
             option.textContent = cell.name || `Cell ${idx + 1}`;
             this.elements.cellSelect.appendChild(option);
         });
+        this.renderScreenList(); // Cell counts and the active screen
     }
 
     renderCellProperties(screenKey, cellIndex) {
@@ -767,8 +6275,17 @@ class UIManager {
             return;
         }
 
+        // With several cells selected, show shared values and mark the differing ones as mixed
+        const selected = this.selection.length > 1 && this.selection.includes(cellIndex) ? this.selection : [cellIndex];
+        const isMixed = (key) => selected.some(idx => String(cells[idx][key]) !== String(cell[key]));
+
+        let html = '';
+        if (selected.length > 1) {
+            html += `<p class="selection-summary">${selected.length} cells selected - changes apply to all of them</p>`;
+        }
+
         // Create form grid
-        let html = '<div class="properties-grid">';
+        html += '<div class="properties-grid">';
 
         // Property order for better UX
         const propertyOrder = [
@@ -795,8 +6312,8 @@ class UIManager {
 
         // Get available data sources from current engine
         const currentEngine = this.config.data?.CURRENT_ENGINE?.engine_type || 'CNHC';
-        const engineData = this.config.data?.[currentEngine] || {};
-        const dataSourceKeys = Object.keys(engineData).filter(k => !k.endsWith('_RES'));
+        const engineData = this.getCurrentEngineData();
+        const dataSourceKeys = Object.keys(engineData).filter(k => !k.endsWith('_RES')).concat(DEVICE_DATA_SOURCES);
 
         // Get data types for fields
         const dataTypes = this.config.data?.DATA_TYPES_SCREEN || {};
@@ -809,45 +6326,72 @@ class UIManager {
                 const isColorPicker = key.includes('_color');
                 const isDataSource = key === 'data1';
                 const colorAttr = isColorPicker ? 'data-coloris' : '';
+                const mixed = isMixed(key);
+                const mixedAttr = mixed ? 'data-mixed="true" placeholder="Mixed"' : '';
+                const itemClass = mixed ? 'property-item is-mixed' : 'property-item';
+                const mixedOption = mixed ? '<option value="" selected disabled>Mixed</option>' : '';
 
                 // Convert RGB565 to hex for color pickers
                 let displayValue = cell[key];
-                if (isColorPicker && cell[key]) {
+                if (mixed) {
+                    displayValue = '';
+                } else if (isColorPicker && cell[key]) {
                     const rgb565 = parseInt(cell[key], 16);
                     const rgb888 = rgb565ToRgb888(rgb565);
                     displayValue = '#' + rgb888.toString(16).padStart(6, '0');
                 }
 
-                // Render dropdown for data1 field (command_type)
+                // Render searchable dropdown for data1 field (command_type), grouped engine / device
                 if (isDataSource || dataType === 'command_type') {
+                    const renderOption = (source) => {
+                        const info = describeDataSource(source, engineData);
+                        const text = info.known ? `${source} - ${info.description}${info.unit ? ` (${info.unit})` : ''}` : source;
+                        return `
+                                    <option value="${escapeHtml(source)}" title="${escapeHtml(formatDataSourceDetails(info))}" ${!mixed && source === cell[key] ? 'selected' : ''}>
+                                        ${escapeHtml(text)}
+                                    </option>`;
+                    };
+                    const engineSources = dataSourceKeys.filter(source => !DEVICE_DATA_SOURCES.includes(source));
+                    const unknownSource = !mixed && cell[key] && !dataSourceKeys.includes(cell[key]);
                     html += `
-                        <div class="property-item">
+                        <div class="${itemClass}">
                             <label for="prop-${key}">${label}</label>
+                            <input
+                                type="search"
+                                class="data-source-search"
+                                placeholder="Search data sources"
+                                aria-label="Search data sources"
+                            />
                             <select
                                 id="prop-${key}"
                                 class="property-select"
                                 data-property="${key}"
+                                ${mixedAttr}
                             >
-                                ${dataSourceKeys.map(source => `
-                                    <option value="${source}" ${source === cell[key] ? 'selected' : ''}>
-                                        ${source}
-                                    </option>
-                                `).join('')}
+                                ${mixedOption}
+                                ${unknownSource ? `<option value="${escapeHtml(cell[key])}" selected>${escapeHtml(cell[key])} (not in engine table)</option>` : ''}
+                                <optgroup label="Engine (${escapeHtml(currentEngine)})">${engineSources.map(renderOption).join('')}
+                                </optgroup>
+                                <optgroup label="Device">${DEVICE_DATA_SOURCES.map(renderOption).join('')}
+                                </optgroup>
                             </select>
+                            <span class="data-source-info">${mixed ? '' : escapeHtml(formatDataSourceDetails(describeDataSource(cell[key], engineData)))}</span>
                         </div>
                     `;
                 }
                 // Render dropdown for boolean fields
                 else if (dataType === 'boolean') {
-                    const boolValue = String(cell[key]); // Convert to string for comparison
+                    const boolValue = mixed ? '' : String(cell[key]); // Convert to string for comparison
                     html += `
-                        <div class="property-item">
+                        <div class="${itemClass}">
                             <label for="prop-${key}">${label}</label>
                             <select
                                 id="prop-${key}"
                                 class="property-select"
                                 data-property="${key}"
+                                ${mixedAttr}
                             >
+                                ${mixedOption}
                                 <option value="true" ${boolValue === 'true' ? 'selected' : ''}>true</option>
                                 <option value="false" ${boolValue === 'false' ? 'selected' : ''}>false</option>
                             </select>
@@ -857,7 +6401,7 @@ class UIManager {
                 // Render input with +/- buttons for integer fields
                 else if (dataType === 'integer') {
                     html += `
-                        <div class="property-item">
+                        <div class="${itemClass}">
                             <label for="prop-${key}">${label}</label>
                             <div class="input-with-stepper">
                                 <button class="stepper-btn" data-action="decrement" data-target="prop-${key}">
@@ -871,6 +6415,7 @@ class UIManager {
                                     value="${displayValue}"
                                     data-property="${key}"
                                     class="stepper-input"
+                                    ${mixedAttr}
                                 />
                                 <button class="stepper-btn" data-action="increment" data-target="prop-${key}">
                                     <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor">
@@ -884,17 +6429,24 @@ class UIManager {
                 }
                 // Render regular input for other fields
                 else {
+                    const fontAttr = key === 'font1' || key === 'font2' ? 'list="fontNameList"' : '';
+                    const unknownFont = fontAttr && !mixed && !FONT_REGISTRY[cell[key]]
+                        ? '<span class="property-hint">Not a firmware font - previewed with a generic font</span>'
+                        : '';
                     html += `
-                        <div class="property-item">
+                        <div class="${itemClass}">
                             <label for="prop-${key}">${label}</label>
                             <input
                                 type="text"
                                 id="prop-${key}"
                                 value="${displayValue}"
                                 ${colorAttr}
+                                ${fontAttr}
+                                ${mixedAttr}
                                 data-property="${key}"
                                 data-original="${cell[key]}"
                             />
+                            ${unknownFont}
                         </div>
                     `;
                 }
@@ -902,6 +6454,15 @@ class UIManager {
         });
 
         html += '</div>';
+
+        // Rules are edited one cell at a time
+        if (selected.length === 1) {
+            html += this.renderCellRules(cell);
+        }
+
+        // Suggestions for the font inputs
+        html += `<datalist id="fontNameList">${Object.keys(FONT_REGISTRY).map(name => `<option value="${name}"></option>`).join('')}</datalist>`;
+
         this.elements.cellDetails.innerHTML = html;
 
         // Re-initialize color pickers for dynamically added inputs
@@ -910,6 +6471,123 @@ class UIManager {
         }
     }
 
+    // Rule list plus a test value that previews the selected cell
+    renderCellRules(cell) {
+        const rules = Array.isArray(cell.rules) ? cell.rules : [];
+        const colorInput = (rule, key, title) => {
+            const value = rule[key] ? '#' + rgb565ToRgb888(parseInt(rule[key], 16)).toString(16).padStart(6, '0') : '';
+            return `<input type="text" data-coloris data-rule-field="${key}" value="${value}" placeholder="${title}" title="${title}" />`;
+        };
+
+        const rows = rules.map((rule, idx) => `
+            <div class="cell-rule" data-rule-index="${idx}">
+                <div class="cell-rule-condition">
+                    <span class="cell-rule-when">Value</span>
+                    <select data-rule-field="when" class="property-select">
+                        ${Object.keys(CELL_RULE_OPERATORS).map(op => `<option value="${op}" ${rule.when === op ? 'selected' : ''}>${escapeHtml(op)}</option>`).join('')}
+                    </select>
+                    <input type="text" data-rule-field="value" value="${escapeHtml(rule.value ?? '')}" placeholder="Threshold" />
+                    <button class="btn-action btn-danger" data-rule-action="delete" title="Delete rule">&times;</button>
+                </div>
+                <div class="cell-rule-style">
+                    ${colorInput(rule, 'bg_color', 'Background')}
+                    ${colorInput(rule, 'font1_color', 'Value colour')}
+                    <select data-rule-field="icon" class="property-select" title="Icon">
+                        <option value="">No icon</option>
+                        ${Object.entries(CELL_RULE_ICONS).map(([key, name]) => `<option value="${key}" ${rule.icon === key ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="cell-rule-flags">
+                    <label><input type="checkbox" data-rule-field="blink" ${rule.blink === 'true' ? 'checked' : ''} /> Blink</label>
+                    <label><input type="checkbox" data-rule-field="notify" ${rule.notify === 'true' ? 'checked' : ''} /> Alert on live data</label>
+                </div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="cell-rules">
+                <div class="cell-rules-header">
+                    <label>Rules</label>
+                    <button class="btn-action" data-rule-action="add" title="Add a rule">+ Add rule</button>
+                </div>
+                ${rows || '<p class="property-hint">No rules - the cell always uses its own colours</p>'}
+                <div class="property-item">
+                    <label for="ruleTestValue">Preview Value</label>
+                    <input type="number" id="ruleTestValue" step="any" placeholder="${this.canvas.sampleValue}" value="${this.ruleTestValue ?? ''}" />
+                </div>
+            </div>
+        `;
+    }
+
+    // Edit one field of one rule; the rules list is replaced as a whole so undo restores it
+    onRuleChange(input) {
+        const screenKey = this.elements.screenSelect.value;
+        const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+        const cell = this.config.getScreen(screenKey)[cellIndex];
+        const ruleIndex = parseInt(input.closest('[data-rule-index]').dataset.ruleIndex, 10);
+        const field = input.dataset.ruleField;
+        if (!cell || !Array.isArray(cell.rules) || !cell.rules[ruleIndex]) return;
+
+        let value = input.type === 'checkbox' ? (input.checked ? 'true' : '') : input.value;
+        if (field.endsWith('_color') && value.startsWith('#')) {
+            value = rgb888ToRgb565(value);
+        }
+
+        const rules = deepClone(cell.rules);
+        if (value === '') {
+            delete rules[ruleIndex][field];
+        } else {
+            rules[ruleIndex][field] = value;
+        }
+
+        this.history.execute(CellUpdateCommand.fromUpdates(this.config, screenKey, [cellIndex], { rules }, {
+            label: 'Edit rule',
+            coalesceKey: `${screenKey}:${cellIndex}:rules:${ruleIndex}:${field}`
+        }));
+        this.redrawCanvas(screenKey, cellIndex);
+    }
+
+    onRuleAction(button) {
+        const screenKey = this.elements.screenSelect.value;
+        const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+        const cell = this.config.getScreen(screenKey)[cellIndex];
+        if (!cell) return;
+
+        const rules = Array.isArray(cell.rules) ? deepClone(cell.rules) : [];
+        let label;
+        if (button.dataset.ruleAction === 'add') {
+            // Start at three quarters of the source's typical maximum, e.g. 600 for DPF temperatures
+            const info = describeDataSource(cell.data1, this.getCurrentEngineData());
+            const threshold = info.max !== null ? Math.round(info.max * 0.75) : 0;
+            rules.push({ when: '>', value: String(threshold), bg_color: '0xf800' });
+            label = 'Add rule';
+        } else {
+            rules.splice(parseInt(button.closest('[data-rule-index]').dataset.ruleIndex, 10), 1);
+            label = 'Delete rule';
+        }
+
+        this.history.execute(CellUpdateCommand.fromUpdates(this.config, screenKey, [cellIndex], {
+            rules: rules.length > 0 ? rules : undefined
+        }, { label }));
+        this.redrawCanvas(screenKey, cellIndex);
+        this.renderCellProperties(screenKey, cellIndex);
+    }
+
+    // Blink rules need periodic redraws, but only while such a cell is on screen
+    updateBlinkTimer() {
+        if (this.canvas.blinkingCells > 0 && !this.blinkTimer) {
+            this.blinkTimer = setInterval(() => {
+                if (this.dragState || !this.isEditorVisible()) return;
+                this.canvas.blinkOn = !this.canvas.blinkOn;
+                this.redrawCanvas(this.elements.screenSelect.value, parseInt(this.elements.cellSelect.value, 10));
+            }, 500);
+        } else if (this.canvas.blinkingCells === 0 && this.blinkTimer) {
+            clearInterval(this.blinkTimer);
+            this.blinkTimer = null;
+            this.canvas.blinkOn = true;
+        }
+    }
+
     setupEventListeners() {
         // Screen selection change
         this.elements.screenSelect.addEventListener('change', () => {
@@ -924,9 +6602,39 @@ class UIManager {
             this.onCellChange(screenKey, cellIndex);
         });
 
-        // Canvas click handler
-        this.canvas.canvas.addEventListener('click', (e) => {
-            this.onCanvasClick(e);
+        // Canvas pointer handlers (select, drag to move, handles to resize)
+        this.canvas.canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            if (this.onCanvasPointerDown(e.clientX, e.clientY, e.shiftKey || e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+            }
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            this.onCanvasPointerMove(e.clientX, e.clientY, e.target === this.canvas.canvas);
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.onCanvasPointerUp();
+        });
+
+        // Touch events for mobile
+        this.canvas.canvas.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) return;
+            if (this.onCanvasPointerDown(e.touches[0].clientX, e.touches[0].clientY)) {
+                e.preventDefault();
+            }
+        }, { passive: false });
+
+        document.addEventListener('touchmove', (e) => {
+            if (this.dragState && e.touches.length > 0) {
+                e.preventDefault();
+                this.onCanvasPointerMove(e.touches[0].clientX, e.touches[0].clientY, true);
+            }
+        }, { passive: false });
+
+        document.addEventListener('touchend', () => {
+            this.onCanvasPointerUp();
         });
 
         // Save button
@@ -934,10 +6642,25 @@ class UIManager {
             this.onSave();
         });
 
+        // Save to device button
+        if (this.elements.saveToDeviceButton) {
+            this.elements.saveToDeviceButton.addEventListener('click', () => {
+                this.onSaveToDevice();
+            });
+        }
+
         // Live update on input change
         this.elements.cellDetails.addEventListener('input', (e) => {
             if (e.target.matches('input[data-property]')) {
                 this.onPropertyChange(e.target);
+            } else if (e.target.matches('.data-source-search')) {
+                this.filterDataSources(e.target);
+            } else if (e.target.matches('input[data-rule-field]:not([type="checkbox"])')) {
+                this.onRuleChange(e.target);
+            } else if (e.target.id === 'ruleTestValue') {
+                const value = parseFloat(e.target.value);
+                this.ruleTestValue = isNaN(value) ? null : value;
+                this.redrawCanvas(this.elements.screenSelect.value, parseInt(this.elements.cellSelect.value, 10));
             }
         });
 
@@ -945,11 +6668,20 @@ class UIManager {
         this.elements.cellDetails.addEventListener('change', (e) => {
             if (e.target.matches('select[data-property]')) {
                 this.onPropertyChange(e.target);
+            } else if (e.target.matches('select[data-rule-field], input[type="checkbox"][data-rule-field]')) {
+                this.onRuleChange(e.target);
             }
         });
 
         // Handle stepper button clicks
         this.elements.cellDetails.addEventListener('click', (e) => {
+            const ruleButton = e.target.closest('[data-rule-action]');
+            if (ruleButton) {
+                e.preventDefault();
+                this.onRuleAction(ruleButton);
+                return;
+            }
+
             const btn = e.target.closest('.stepper-btn');
             if (btn) {
                 e.preventDefault();
@@ -957,7 +6689,10 @@ class UIManager {
                 const targetId = btn.dataset.target;
                 const input = document.getElementById(targetId);
 
-                if (input) {
+                if (input && input.dataset.mixed) {
+                    // Step each selected cell from its own value
+                    this.onPropertyStep(input, action === 'increment' ? 1 : -1);
+                } else if (input) {
                     const currentValue = parseInt(input.value) || 0;
                     const newValue = action === 'increment' ? currentValue + 1 : currentValue - 1;
                     input.value = newValue;
@@ -981,6 +6716,63 @@ class UIManager {
             this.onZoomReset();
         });
 
+        // Undo / redo buttons
+        if (this.elements.undoButton) {
+            this.elements.undoButton.addEventListener('click', () => {
+                this.onUndo();
+            });
+        }
+
+        if (this.elements.redoButton) {
+            this.elements.redoButton.addEventListener('click', () => {
+                this.onRedo();
+            });
+        }
+
+        // Layout toolbar: snapping options and align/distribute actions
+        if (this.elements.snapToGrid) {
+            this.elements.snapToGrid.addEventListener('change', () => {
+                this.layoutTools.setSnapToGrid(this.elements.snapToGrid.checked);
+                this.redrawCanvas(this.elements.screenSelect.value, parseInt(this.elements.cellSelect.value, 10));
+            });
+        }
+
+        if (this.elements.gridSize) {
+            this.elements.gridSize.addEventListener('change', () => {
+                this.elements.gridSize.value = this.layoutTools.setGridSize(this.elements.gridSize.value);
+                this.redrawCanvas(this.elements.screenSelect.value, parseInt(this.elements.cellSelect.value, 10));
+            });
+        }
+
+        if (this.elements.showGuides) {
+            this.elements.showGuides.addEventListener('change', () => {
+                this.layoutTools.setShowGuides(this.elements.showGuides.checked);
+            });
+        }
+
+        if (this.elements.layoutToolbar) {
+            this.elements.layoutToolbar.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-align], [data-distribute]');
+                if (!btn) return;
+                if (btn.dataset.align) {
+                    this.onAlign(btn.dataset.align);
+                } else {
+                    this.onDistribute(btn.dataset.distribute);
+                }
+            });
+        }
+
+        // Select the offending cell when a layout issue is clicked
+        if (this.elements.layoutIssues) {
+            this.elements.layoutIssues.addEventListener('click', (e) => {
+                const item = e.target.closest('.problem-link');
+                if (item) {
+                    this.elements.cellSelect.value = item.dataset.cell;
+                    this.elements.cellSelect.dispatchEvent(new Event('change'));
+                }
+            });
+        }
+
         // Clear selection button
         this.elements.clearSelection.addEventListener('click', () => {
             this.onClearSelection();
@@ -996,6 +6788,21 @@ class UIManager {
             this.onDeleteScreen();
         });
 
+        if (this.elements.duplicateScreen) {
+            this.elements.duplicateScreen.addEventListener('click', () => this.onDuplicateScreen());
+        }
+        if (this.elements.renameScreen) {
+            this.elements.renameScreen.addEventListener('click', () => this.onRenameScreen());
+        }
+        if (this.elements.arrangeScreens && this.elements.screenList) {
+            this.elements.arrangeScreens.addEventListener('click', () => {
+                this.elements.screenList.classList.toggle('hidden');
+                this.elements.arrangeScreens.classList.toggle('active', !this.elements.screenList.classList.contains('hidden'));
+                this.renderScreenList();
+            });
+            this.setupScreenListEvents();
+        }
+
         // Add cell button
         this.elements.addCell.addEventListener('click', () => {
             this.onAddCell();
@@ -1006,6 +6813,67 @@ class UIManager {
             this.onDeleteCell();
         });
 
+        if (this.elements.duplicateCells) {
+            this.elements.duplicateCells.addEventListener('click', () => this.onDuplicateCells());
+        }
+
+        // Layers: z-order buttons, row selection and editor-only visibility
+        if (this.elements.layerActions) {
+            this.elements.layerActions.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-layer]');
+                if (btn) this.onLayerOrder(btn.dataset.layer);
+            });
+        }
+
+        if (this.elements.layerList) {
+            this.elements.layerList.addEventListener('click', (e) => {
+                const item = e.target.closest('.layer-item');
+                if (!item) return;
+                const cellIndex = parseInt(item.dataset.index, 10);
+                if (e.target.closest('[data-visibility]')) {
+                    this.toggleCellVisibility(cellIndex);
+                    return;
+                }
+
+                const screenKey = this.elements.screenSelect.value;
+                const selected = this.getSelectedIndices();
+                if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                    const next = selected.includes(cellIndex)
+                        ? selected.filter(idx => idx !== cellIndex)
+                        : selected.concat(cellIndex);
+                    this.setSelection(screenKey, next, next.includes(cellIndex) ? cellIndex : next[next.length - 1]);
+                } else {
+                    this.setSelection(screenKey, [cellIndex]);
+                }
+            });
+        }
+
+        if (this.elements.disabledCellsMode) {
+            this.elements.disabledCellsMode.value = this.canvas.disabledCells;
+            this.elements.disabledCellsMode.addEventListener('change', () => {
+                this.canvas.disabledCells = this.elements.disabledCellsMode.value;
+                localStorage.setItem('editorDisabledCells', this.canvas.disabledCells);
+                this.redrawCanvas(this.elements.screenSelect.value, parseInt(this.elements.cellSelect.value, 10));
+            });
+        }
+
+        // Ctrl/Cmd + C / V go through the clipboard events, which work on the device's plain-http page too
+        document.addEventListener('copy', (e) => {
+            if (!this.canUseCellClipboard(e.target) || window.getSelection()?.toString()) return;
+            const text = this.onCopyCells();
+            if (text && e.clipboardData) {
+                e.clipboardData.setData('text/plain', text);
+                e.preventDefault();
+            }
+        });
+
+        document.addEventListener('paste', (e) => {
+            if (!this.canUseCellClipboard(e.target)) return;
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            e.preventDefault();
+            this.onPasteCells(text || this.cellClipboard);
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Ctrl/Cmd + Plus: Zoom In
@@ -1027,6 +6895,30 @@ class UIManager {
             if (e.key === 'Escape') {
                 this.onClearSelection();
             }
+            // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y: Redo, Ctrl/Cmd + A: Select all cells
+            // (text fields keep their native shortcuts)
+            if ((e.ctrlKey || e.metaKey) && !this.isTextEditingTarget(e.target)) {
+                const key = e.key.toLowerCase();
+                if (key === 'a' && this.isEditorVisible()) {
+                    e.preventDefault();
+                    this.onSelectAll();
+                } else if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.onUndo();
+                } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    e.preventDefault();
+                    this.onRedo();
+                } else if (key === 'd' && this.isEditorVisible()) {
+                    // Ctrl/Cmd + D: Duplicate selected cells (Ctrl/Cmd + C / V: see the copy and paste listeners)
+                    e.preventDefault();
+                    this.onDuplicateCells();
+                } else if ((e.code === 'BracketRight' || e.code === 'BracketLeft') && this.isEditorVisible()) {
+                    // Ctrl/Cmd + ] / [: Bring forward / send backward, with Shift: to front / back
+                    e.preventDefault();
+                    const forward = e.code === 'BracketRight';
+                    this.onLayerOrder(e.shiftKey ? (forward ? 'front' : 'back') : (forward ? 'forward' : 'backward'));
+                }
+            }
         });
 
         // Canvas resize handle
@@ -1037,110 +6929,554 @@ class UIManager {
             let startY = 0;
             let startHeight = 0;
 
-            const startResize = (clientY) => {
-                isResizing = true;
-                startY = clientY;
-                startHeight = canvasWrapper.offsetHeight;
-                document.body.style.cursor = 'ns-resize';
-                document.body.style.userSelect = 'none';
-            };
+            const startResize = (clientY) => {
+                isResizing = true;
+                startY = clientY;
+                startHeight = canvasWrapper.offsetHeight;
+                document.body.style.cursor = 'ns-resize';
+                document.body.style.userSelect = 'none';
+            };
+
+            const doResize = (clientY) => {
+                if (!isResizing) return;
+                const deltaY = clientY - startY;
+                const newHeight = Math.max(200, startHeight + deltaY);
+                canvasWrapper.style.height = newHeight + 'px';
+                canvasWrapper.style.minHeight = newHeight + 'px';
+            };
+
+            const stopResize = () => {
+                if (isResizing) {
+                    isResizing = false;
+                    document.body.style.cursor = '';
+                    document.body.style.userSelect = '';
+                }
+            };
+
+            // Mouse events
+            resizeHandle.addEventListener('mousedown', (e) => {
+                startResize(e.clientY);
+                e.preventDefault();
+            });
+
+            document.addEventListener('mousemove', (e) => {
+                doResize(e.clientY);
+            });
+
+            document.addEventListener('mouseup', stopResize);
+
+            // Touch events for mobile
+            resizeHandle.addEventListener('touchstart', (e) => {
+                startResize(e.touches[0].clientY);
+                e.preventDefault();
+            });
+
+            document.addEventListener('touchmove', (e) => {
+                if (isResizing && e.touches.length > 0) {
+                    doResize(e.touches[0].clientY);
+                }
+            }, { passive: false });
+
+            document.addEventListener('touchend', stopResize);
+        }
+    }
+
+    onScreenChange(screenKey) {
+        this.selection = [];
+        this.populateCellDropdown(screenKey);
+        this.redrawCanvas(screenKey);
+        this.elements.cellDetails.innerHTML = '<p class="no-cell">Select a cell to edit</p>';
+    }
+
+    onCellChange(screenKey, cellIndex) {
+        this.selection = isNaN(cellIndex) ? [] : [cellIndex];
+        this.redrawCanvas(screenKey, cellIndex);
+        this.renderCellProperties(screenKey, cellIndex);
+    }
+
+    // Draw the screen, the selected cell, snapping aids and any layout problems
+    redrawCanvas(screenKey, cellIndex = -1, guides = []) {
+        const cells = this.config.getScreen(screenKey);
+        this.canvas.hiddenCells = this.hiddenCells.get(screenKey) || new Set();
+        this.canvas.drawScreen(cells);
+        if (this.layoutTools.snapToGrid) {
+            this.canvas.drawGrid(this.layoutTools.gridSize);
+        }
+        if (cellIndex >= 0) {
+            this.canvas.highlightCell(cells, this.getSelectedIndices());
+        }
+        if (guides.length > 0) {
+            this.canvas.drawGuides(guides);
+        }
+        this.updateAlignButtons();
+        this.renderLayerList(screenKey);
+
+        const issues = this.getLayoutIssues(cells);
+        const offenders = new Set();
+        issues.forEach(issue => issue.cells.forEach(idx => offenders.add(idx)));
+        this.canvas.drawIssueMarkers(cells, Array.from(offenders));
+        this.renderLayoutIssues(issues);
+        this.updateBlinkTimer();
+    }
+
+    getLayoutIssues(cells) {
+        const engineData = this.getCurrentEngineData();
+        const issues = validateLayout(cells, {
+            width: this.canvas.canvas.width,
+            height: this.canvas.canvas.height,
+            dataSources: Object.keys(engineData).filter(k => !k.endsWith('_RES')).concat(DEVICE_DATA_SOURCES)
+        });
+
+        // Text overflow is measured while drawing
+        (this.canvas.overflowingCells || []).forEach(idx => {
+            const estimated = [cells[idx].font1, cells[idx].font2]
+                .filter(font => resolveFont(font).estimated);
+            const note = estimated.length > 0
+                ? ` (estimated metrics for ${[...new Set(estimated)].join(', ')})`
+                : '';
+            issues.push({
+                severity: 'warning', type: 'overflow', cells: [idx],
+                message: `"${cells[idx].name || `Cell ${idx + 1}`}" text does not fit the cell with its fonts${note}`
+            });
+        });
+
+        const order = { error: 0, warning: 1, info: 2 };
+        return issues.sort((a, b) => order[a.severity] - order[b.severity]);
+    }
+
+    renderLayoutIssues(issues) {
+        const container = this.elements.layoutIssues;
+        if (!container) return;
+
+        if (issues.length === 0) {
+            container.innerHTML = '<p class="layout-ok">No layout issues</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="layout-issues-title">Layout issues (${issues.length})</p>
+            <ul class="problem-list">
+                ${issues.map(issue => `
+                    <li class="problem-item problem-${issue.severity} ${issue.cells.length ? 'problem-link' : ''}"
+                        data-cell="${issue.cells.length ? issue.cells[0] : ''}">
+                        <span class="problem-severity">${issue.severity}</span>
+                        <span class="problem-message">${escapeHtml(issue.message)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    getCanvasPoint(clientX, clientY) {
+        const rect = this.canvas.canvas.getBoundingClientRect();
+
+        // Adjust for zoom level - convert from scaled coordinates back to actual canvas coordinates
+        return {
+            x: (clientX - rect.left) / this.canvas.zoomLevel,
+            y: (clientY - rect.top) / this.canvas.zoomLevel
+        };
+    }
+
+    // Returns true when a move/resize/rubber-band drag was started.
+    // additive (shift/ctrl/cmd held) toggles cells in the selection instead of replacing it.
+    onCanvasPointerDown(clientX, clientY, additive = false) {
+        const { x, y } = this.getCanvasPoint(clientX, clientY);
+        const screenKey = this.elements.screenSelect.value;
+        const cells = this.config.getScreen(screenKey);
+        const selected = this.getSelectedIndices();
+        const singleCell = selected.length === 1 ? cells[selected[0]] : null;
+
+        // Resize handles of a single selected cell take priority over cell hits
+        const handle = singleCell && !additive ? this.canvas.findHandleAtPosition(x, y, singleCell) : null;
+        if (handle) {
+            this.startCellDrag('resize', handle, screenKey, [selected[0]], x, y);
+            return true;
+        }
+
+        const cellIndex = this.canvas.findCellAtPosition(Math.round(x), Math.round(y), cells);
+
+        // Empty space starts a rubber-band selection
+        if (cellIndex < 0) {
+            this.dragState = {
+                mode: 'select',
+                screenKey: screenKey,
+                startX: x,
+                startY: y,
+                base: additive ? selected : [],
+                moved: false
+            };
+            document.body.style.userSelect = 'none';
+            return true;
+        }
+
+        if (additive) {
+            const next = selected.includes(cellIndex)
+                ? selected.filter(idx => idx !== cellIndex)
+                : selected.concat(cellIndex);
+            this.setSelection(screenKey, next, next.includes(cellIndex) ? cellIndex : next[next.length - 1]);
+            return true;
+        }
+
+        // Clicking a cell outside the selection selects only that cell; inside it drags the whole selection
+        if (!selected.includes(cellIndex)) {
+            this.elements.cellSelect.value = cellIndex;
+            this.elements.cellSelect.dispatchEvent(new Event('change'));
+        }
+
+        this.startCellDrag('move', null, screenKey, this.getSelectedIndices(), x, y);
+        return true;
+    }
+
+    startCellDrag(mode, handle, screenKey, indices, x, y) {
+        const cells = this.config.getScreen(screenKey);
+        const origins = indices.map(idx => this.canvas.getCellBounds(cells[idx]));
+
+        this.dragState = {
+            mode: mode,
+            handle: handle,
+            screenKey: screenKey,
+            indices: indices,
+            startX: x,
+            startY: y,
+            origins: origins,
+            // Bounding box of all dragged cells
+            origin: {
+                x: Math.min(...origins.map(r => r.x)),
+                y: Math.min(...origins.map(r => r.y)),
+                w: Math.max(...origins.map(r => r.x + r.w)) - Math.min(...origins.map(r => r.x)),
+                h: Math.max(...origins.map(r => r.y + r.h)) - Math.min(...origins.map(r => r.y))
+            },
+            before: indices.map(idx => {
+                const cell = cells[idx];
+                return { posx: cell.posx, posy: cell.posy, sizex: cell.sizex, sizey: cell.sizey };
+            })
+        };
+        document.body.style.userSelect = 'none';
+    }
 
-            const doResize = (clientY) => {
-                if (!isResizing) return;
-                const deltaY = clientY - startY;
-                const newHeight = Math.max(200, startHeight + deltaY);
-                canvasWrapper.style.height = newHeight + 'px';
-                canvasWrapper.style.minHeight = newHeight + 'px';
-            };
+    onCanvasPointerMove(clientX, clientY, overCanvas) {
+        const { x, y } = this.getCanvasPoint(clientX, clientY);
 
-            const stopResize = () => {
-                if (isResizing) {
-                    isResizing = false;
-                    document.body.style.cursor = '';
-                    document.body.style.userSelect = '';
-                }
-            };
+        if (!this.dragState) {
+            if (overCanvas) this.updateCanvasCursor(x, y);
+            return;
+        }
 
-            // Mouse events
-            resizeHandle.addEventListener('mousedown', (e) => {
-                startResize(e.clientY);
-                e.preventDefault();
-            });
+        if (this.dragState.mode === 'select') {
+            this.updateRubberBand(x, y);
+            return;
+        }
 
-            document.addEventListener('mousemove', (e) => {
-                doResize(e.clientY);
+        const { mode, handle, screenKey, indices, origins, origin } = this.dragState;
+        const dx = Math.round(x - this.dragState.startX);
+        const dy = Math.round(y - this.dragState.startY);
+        const panel = { width: this.canvas.canvas.width, height: this.canvas.canvas.height };
+        const others = this.config.getScreen(screenKey)
+            .filter((cell, idx) => !indices.includes(idx))
+            .map(cell => this.canvas.getCellBounds(cell));
+
+        if (mode === 'move') {
+            // Snap and clamp the selection's bounding box, then shift every cell by the same amount
+            const snapped = this.layoutTools.snapMove({ ...origin, x: origin.x + dx, y: origin.y + dy }, others, panel, this.canvas.zoomLevel);
+            const bounds = this.getMovedBounds(origin, snapped.x - origin.x, snapped.y - origin.y);
+            this.dragState.guides = snapped.guides;
+
+            indices.forEach((idx, i) => {
+                this.config.updateCell(screenKey, idx, {
+                    posx: String(origins[i].x + bounds.x - origin.x),
+                    posy: String(origins[i].y + bounds.y - origin.y)
+                });
+            });
+        } else {
+            const resized = this.getResizedBounds(origin, handle, dx, dy);
+            const snapped = this.layoutTools.snapResize({
+                left: resized.x, top: resized.y, right: resized.x + resized.w, bottom: resized.y + resized.h
+            }, handle, others, panel, this.canvas.zoomLevel);
+            const bounds = this.getResizedBounds(origin, handle,
+                handle.includes('w') ? snapped.left - origin.x : snapped.right - origin.x - origin.w,
+                handle.includes('n') ? snapped.top - origin.y : snapped.bottom - origin.y - origin.h);
+            this.dragState.guides = snapped.guides;
+
+            this.config.updateCell(screenKey, indices[0], {
+                posx: String(bounds.x),
+                posy: String(bounds.y),
+                sizex: String(bounds.w),
+                sizey: String(bounds.h)
             });
+        }
 
-            document.addEventListener('mouseup', stopResize);
+        const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+        this.redrawCanvas(screenKey, cellIndex, this.dragState.guides);
+        if (indices.length === 1) {
+            this.syncGeometryInputs(this.config.getScreen(screenKey)[indices[0]]);
+        }
+    }
 
-            // Touch events for mobile
-            resizeHandle.addEventListener('touchstart', (e) => {
-                startResize(e.touches[0].clientY);
-                e.preventDefault();
-            });
+    // Select every cell the rubber band touches (added to the previous selection when additive)
+    updateRubberBand(x, y) {
+        const { screenKey, startX, startY, base } = this.dragState;
+        const rect = {
+            x: Math.min(startX, x),
+            y: Math.min(startY, y),
+            w: Math.abs(x - startX),
+            h: Math.abs(y - startY)
+        };
+        if (!this.dragState.moved && rect.w < 3 && rect.h < 3) return;
+        this.dragState.moved = true;
+
+        const hits = [];
+        this.config.getScreen(screenKey).forEach((cell, idx) => {
+            if (!this.canvas.isCellShown(cell, idx)) return;
+            const b = this.canvas.getCellBounds(cell);
+            if (b.x < rect.x + rect.w && b.x + b.w > rect.x && b.y < rect.y + rect.h && b.y + b.h > rect.y) {
+                hits.push(idx);
+            }
+        });
 
-            document.addEventListener('touchmove', (e) => {
-                if (isResizing && e.touches.length > 0) {
-                    doResize(e.touches[0].clientY);
-                }
-            }, { passive: false });
+        this.selection = Array.from(new Set(base.concat(hits))).sort((a, b) => a - b);
+        this.redrawCanvas(screenKey, this.selection.length > 0 ? this.selection[0] : -1);
+        this.canvas.drawMarquee(rect);
+    }
 
-            document.addEventListener('touchend', stopResize);
+    onCanvasPointerUp() {
+        if (!this.dragState) return;
+        const { mode, screenKey, indices, before, guides } = this.dragState;
+        this.dragState = null;
+        document.body.style.userSelect = '';
+
+        if (mode === 'select') {
+            // A plain click on empty space keeps the current selection
+            const selection = this.selection;
+            const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+            this.setSelection(screenKey, selection, selection.includes(cellIndex) ? cellIndex : selection[0]);
+            return;
+        }
+
+        // Remove the guides
+        if (guides && guides.length > 0) {
+            this.redrawCanvas(screenKey, parseInt(this.elements.cellSelect.value, 10));
+        }
+
+        // Record the whole drag as a single undo step
+        const cells = this.config.getScreen(screenKey);
+        const changes = [];
+        indices.forEach((idx, i) => {
+            const cell = cells[idx];
+            if (!cell) return;
+            const after = { posx: cell.posx, posy: cell.posy, sizex: cell.sizex, sizey: cell.sizey };
+            const changed = Object.keys(before[i]).filter(key => before[i][key] !== after[key]);
+            if (changed.length === 0) return;
+
+            const change = { index: idx, before: {}, after: {} };
+            changed.forEach(key => {
+                change.before[key] = before[i][key];
+                change.after[key] = after[key];
+            });
+            changes.push(change);
+        });
+
+        if (changes.length > 0) {
+            const label = mode === 'move' ? 'Move cell' : 'Resize cell';
+            this.history.push(new CellUpdateCommand(this.config, screenKey, changes, {
+                label: indices.length > 1 ? `${label}s` : label
+            }));
+            if (indices.length > 1) {
+                this.renderCellProperties(screenKey, parseInt(this.elements.cellSelect.value, 10));
+            }
         }
     }
 
-    onScreenChange(screenKey) {
-        this.populateCellDropdown(screenKey);
-        this.canvas.drawScreen(this.config.getScreen(screenKey));
-        this.elements.cellDetails.innerHTML = '<p class="no-cell">Select a cell to edit</p>';
+    // Replace the selection; primaryIndex becomes the cellSelect value
+    setSelection(screenKey, indices, primaryIndex = indices[indices.length - 1]) {
+        this.selection = Array.from(new Set(indices)).sort((a, b) => a - b);
+        if (this.selection.length === 0) {
+            this.onClearSelection();
+            return;
+        }
+
+        this.elements.cellSelect.value = primaryIndex;
+        this.redrawCanvas(screenKey, primaryIndex);
+        this.renderCellProperties(screenKey, primaryIndex);
+        if (this.selection.length > 1) {
+            this.updateStatus(`${this.selection.length} cells selected`, 'info');
+        }
     }
 
-    onCellChange(screenKey, cellIndex) {
+    onSelectAll() {
+        const screenKey = this.elements.screenSelect.value;
         const cells = this.config.getScreen(screenKey);
-        this.canvas.drawScreen(cells);
-        this.canvas.highlightCell(cells, cellIndex);
-        this.renderCellProperties(screenKey, cellIndex);
+        if (cells.length === 0) return;
+        const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+        this.setSelection(screenKey, cells.map((cell, idx) => idx), cellIndex >= 0 ? cellIndex : 0);
     }
 
-    onCanvasClick(e) {
-        const rect = this.canvas.canvas.getBoundingClientRect();
+    isEditorVisible() {
+        const page = document.getElementById('screenEditorPage');
+        return !page || !page.classList.contains('hidden');
+    }
 
-        // Calculate click position relative to canvas
-        const clickX = e.clientX - rect.left;
-        const clickY = e.clientY - rect.top;
+    // Keep the moved cell fully on the panel
+    getMovedBounds(origin, dx, dy) {
+        const maxX = Math.max(0, this.canvas.canvas.width - origin.w);
+        const maxY = Math.max(0, this.canvas.canvas.height - origin.h);
+        return {
+            x: Math.max(0, Math.min(maxX, origin.x + dx)),
+            y: Math.max(0, Math.min(maxY, origin.y + dy)),
+            w: origin.w,
+            h: origin.h
+        };
+    }
 
-        // Adjust for zoom level - convert from scaled coordinates back to actual canvas coordinates
-        const x = Math.round(clickX / this.canvas.zoomLevel);
-        const y = Math.round(clickY / this.canvas.zoomLevel);
+    getResizedBounds(origin, handle, dx, dy) {
+        const minSize = this.canvas.minCellSize;
+        let left = origin.x;
+        let top = origin.y;
+        let right = origin.x + origin.w;
+        let bottom = origin.y + origin.h;
 
-        const screenKey = this.elements.screenSelect.value;
-        const cells = this.config.getScreen(screenKey);
-        const hitIndex = this.canvas.findCellAtPosition(x, y, cells);
+        // Move only the edges named by the handle, clamped to the panel and minimum size
+        if (handle.includes('w')) left = Math.max(0, Math.min(right - minSize, left + dx));
+        if (handle.includes('e')) right = Math.min(this.canvas.canvas.width, Math.max(left + minSize, right + dx));
+        if (handle.includes('n')) top = Math.max(0, Math.min(bottom - minSize, top + dy));
+        if (handle.includes('s')) bottom = Math.min(this.canvas.canvas.height, Math.max(top + minSize, bottom + dy));
 
-        if (hitIndex >= 0) {
-            this.elements.cellSelect.value = hitIndex;
-            this.elements.cellSelect.dispatchEvent(new Event('change'));
+        return { x: left, y: top, w: right - left, h: bottom - top };
+    }
+
+    updateCanvasCursor(x, y) {
+        const cursors = {
+            n: 'ns-resize', s: 'ns-resize',
+            e: 'ew-resize', w: 'ew-resize',
+            nw: 'nwse-resize', se: 'nwse-resize',
+            ne: 'nesw-resize', sw: 'nesw-resize'
+        };
+        const cells = this.config.getScreen(this.elements.screenSelect.value);
+        const selected = this.getSelectedIndices();
+        const selectedCell = selected.length === 1 ? cells[selected[0]] : null;
+        const handle = selectedCell ? this.canvas.findHandleAtPosition(x, y, selectedCell) : null;
+
+        if (handle) {
+            this.canvas.canvas.style.cursor = cursors[handle];
+        } else if (this.canvas.findCellAtPosition(Math.round(x), Math.round(y), cells) >= 0) {
+            this.canvas.canvas.style.cursor = 'move';
+        } else {
+            this.canvas.canvas.style.cursor = '';
         }
     }
 
+    // Reflect canvas drag results in the property inputs without re-rendering the panel
+    syncGeometryInputs(cell) {
+        if (!cell) return;
+        ['posx', 'posy', 'sizex', 'sizey'].forEach(key => {
+            const input = this.elements.cellDetails.querySelector(`input[data-property="${key}"]`);
+            if (input) input.value = cell[key];
+        });
+    }
+
     onPropertyChange(input) {
         const property = input.dataset.property;
         let value = input.value;
         const screenKey = this.elements.screenSelect.value;
         const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+        const indices = this.getSelectedIndices();
+        if (indices.length === 0) return;
 
         // Convert hex color back to RGB565 if it's a color property
         if (property.includes('_color') && value.startsWith('#')) {
             value = rgb888ToRgb565(value);
         }
 
-        // Update config
-        this.config.updateCell(screenKey, cellIndex, { [property]: value });
+        // A new data source also brings its default name and decimals (same undo step)
+        if (property === 'data1') {
+            this.onDataSourceChange(screenKey, indices, value);
+            return;
+        }
+
+        // Update config for every selected cell; rapid edits of the same property
+        // (steppers, colour drags, typing) merge into one undo step
+        this.history.execute(CellUpdateCommand.fromUpdates(this.config, screenKey, indices, { [property]: value }, {
+            label: indices.length > 1 ? `Edit ${property} (${indices.length} cells)` : 'Edit ' + property,
+            coalesceKey: `${screenKey}:${indices.join(',')}:${property}`
+        }));
+
+        // The value is now shared by all selected cells
+        if (input.dataset.mixed) {
+            delete input.dataset.mixed;
+            input.removeAttribute('placeholder');
+            input.querySelector?.('option[value=""][disabled]')?.remove();
+            input.closest('.property-item')?.classList.remove('is-mixed');
+        }
 
         // Redraw canvas with updates
+        this.redrawCanvas(screenKey, cellIndex);
+    }
+
+    /**
+     * Switch the selected cells to another data source. Decimals follow the new source;
+     * the name is only replaced while it is still a default or generated one.
+     */
+    onDataSourceChange(screenKey, indices, source) {
         const cells = this.config.getScreen(screenKey);
-        this.canvas.drawScreen(cells);
-        this.canvas.highlightCell(cells, cellIndex);
+        const engineData = this.getCurrentEngineData();
+        const info = describeDataSource(source, engineData);
+
+        const command = CellUpdateCommand.fromCellUpdates(this.config, screenKey, indices.map(index => {
+            const cell = cells[index];
+            const updates = { data1: source, decimals: String(info.decimals) };
+            if (this.isDefaultCellName(cell, engineData)) {
+                updates.name = formatDataSourceName(info);
+            }
+            return { index, updates };
+        }), { label: indices.length > 1 ? `Edit data1 (${indices.length} cells)` : 'Edit data1' });
+        this.history.execute(command);
+
+        const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+        this.populateCellDropdown(screenKey);
+        this.elements.cellSelect.value = cellIndex;
+        this.redrawCanvas(screenKey, cellIndex);
+        this.renderCellProperties(screenKey, cellIndex);
+    }
+
+    // Empty, "New Cell"/"Cell N", or what the dictionary would call the current data source
+    isDefaultCellName(cell, engineData) {
+        const name = (cell.name || '').trim();
+        if (!name || name === 'New Cell' || /^Cell \d+$/.test(name)) return true;
+        if (!cell.data1) return false;
+        const info = describeDataSource(cell.data1, engineData);
+        return name === formatDataSourceName(info) || name === cell.data1 || name === dataKeyToName(cell.data1);
+    }
+
+    // Hide data source options that do not match the search text (the selected one stays)
+    filterDataSources(searchInput) {
+        const select = searchInput.parentElement.querySelector('select[data-property]');
+        if (!select) return;
+        const query = searchInput.value.trim().toLowerCase();
+
+        select.querySelectorAll('option').forEach(option => {
+            const text = `${option.value} ${option.textContent} ${option.title}`.toLowerCase();
+            option.hidden = !option.selected && query !== '' && !text.includes(query);
+        });
+        select.querySelectorAll('optgroup').forEach(group => {
+            group.hidden = Array.from(group.querySelectorAll('option')).every(option => option.hidden);
+        });
+    }
+
+    // Stepper on a mixed value: nudge each selected cell from its own value
+    onPropertyStep(input, delta) {
+        const property = input.dataset.property;
+        const screenKey = this.elements.screenSelect.value;
+        const cells = this.config.getScreen(screenKey);
+        const indices = this.getSelectedIndices();
+
+        this.history.execute(CellUpdateCommand.fromCellUpdates(this.config, screenKey, indices.map(index => ({
+            index,
+            updates: { [property]: String((parseInt(cells[index][property], 10) || 0) + delta) }
+        })), {
+            label: `Edit ${property} (${indices.length} cells)`,
+            coalesceKey: `${screenKey}:${indices.join(',')}:${property}`
+        }));
+
+        this.redrawCanvas(screenKey, parseInt(this.elements.cellSelect.value, 10));
     }
 
     onSave() {
@@ -1176,6 +7512,132 @@ class UIManager {
         }, 3000);
     }
 
+    // Indices of the selected cells on the current screen
+    getSelectedIndices() {
+        const cells = this.config.getScreen(this.elements.screenSelect.value);
+        return this.selection.filter(idx => idx >= 0 && idx < cells.length);
+    }
+
+    updateAlignButtons() {
+        if (!this.elements.layoutToolbar) return;
+        const count = this.getSelectedIndices().length;
+        this.elements.layoutToolbar.querySelectorAll('[data-align]').forEach(btn => {
+            btn.disabled = count === 0;
+        });
+        this.elements.layoutToolbar.querySelectorAll('[data-distribute]').forEach(btn => {
+            btn.disabled = count < 3;
+        });
+    }
+
+    onAlign(mode) {
+        const indices = this.getSelectedIndices();
+        if (indices.length === 0) return;
+        const cells = this.config.getScreen(this.elements.screenSelect.value);
+        const rects = indices.map(idx => this.canvas.getCellBounds(cells[idx]));
+        const positions = this.layoutTools.align(rects, mode, { width: this.canvas.canvas.width, height: this.canvas.canvas.height });
+        this.applyPositions(indices, positions, 'Align ' + mode);
+    }
+
+    onDistribute(axis) {
+        const indices = this.getSelectedIndices();
+        if (indices.length < 3) return;
+        const cells = this.config.getScreen(this.elements.screenSelect.value);
+        const rects = indices.map(idx => this.canvas.getCellBounds(cells[idx]));
+        const positions = this.layoutTools.distribute(rects, axis);
+        this.applyPositions(indices, positions, axis === 'x' ? 'Distribute horizontally' : 'Distribute vertically');
+    }
+
+    applyPositions(indices, positions, label) {
+        const screenKey = this.elements.screenSelect.value;
+        const command = CellUpdateCommand.fromCellUpdates(this.config, screenKey, indices.map((index, i) => ({
+            index,
+            updates: { posx: String(positions[i].x), posy: String(positions[i].y) }
+        })), { label });
+
+        if (command.isEmpty()) {
+            this.updateStatus('Already aligned', 'info');
+            return;
+        }
+
+        this.history.execute(command);
+        const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+        this.redrawCanvas(screenKey, cellIndex);
+        if (indices.length === 1) {
+            this.syncGeometryInputs(this.config.getScreen(screenKey)[cellIndex]);
+        } else {
+            this.renderCellProperties(screenKey, cellIndex);
+        }
+        this.updateStatus(label, 'success');
+    }
+
+    isTextEditingTarget(target) {
+        if (!target) return false;
+        if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+        return target.tagName === 'INPUT' && ['text', 'password', 'search'].includes(target.type);
+    }
+
+    onUndo() {
+        const command = this.history.undo();
+        this.updateStatus(command ? `Undo: ${command.label}` : 'Nothing to undo', command ? 'info' : 'error');
+    }
+
+    onRedo() {
+        const command = this.history.redo();
+        this.updateStatus(command ? `Redo: ${command.label}` : 'Nothing to redo', command ? 'info' : 'error');
+    }
+
+    // Called by the history manager after any recorded change, undo or redo
+    onHistoryChange(command, action) {
+        this.updateHistoryButtons();
+        if (command?.remapHiddenCells) {
+            this.hiddenCells = command.remapHiddenCells(this.hiddenCells, action === 'undo');
+        }
+        if (action !== 'undo' && action !== 'redo' && !command?.affectsAll) return;
+
+        // Show the screen and cell the command touched, falling back to the current selection
+        const screenKeys = this.config.getScreenKeys();
+        let screenKey = command && screenKeys.includes(command.screenKey) ? command.screenKey : this.elements.screenSelect.value;
+        if (!screenKeys.includes(screenKey)) screenKey = screenKeys[0];
+
+        const cells = this.config.getScreen(screenKey);
+        let cellIndex = command && command.screenKey === screenKey ? command.cellIndex : parseInt(this.elements.cellSelect.value, 10);
+        if (!(cellIndex >= 0 && cellIndex < cells.length)) cellIndex = cells.length > 0 ? 0 : -1;
+
+        this.refreshEditor(screenKey, cellIndex);
+    }
+
+    // Rebuild dropdowns, canvas and property panel from the config
+    refreshEditor(screenKey, cellIndex) {
+        this.populateScreenDropdown();
+        if (!screenKey) return;
+
+        this.elements.screenSelect.value = screenKey;
+        this.onScreenChange(screenKey);
+
+        if (cellIndex >= 0 && cellIndex < this.elements.cellSelect.options.length) {
+            this.elements.cellSelect.value = cellIndex;
+            this.onCellChange(screenKey, cellIndex);
+        }
+    }
+
+    updateHistoryButtons() {
+        if (this.elements.undoButton) {
+            this.elements.undoButton.disabled = !this.history.canUndo();
+        }
+        if (this.elements.redoButton) {
+            this.elements.redoButton.disabled = !this.history.canRedo();
+        }
+    }
+
+    async onSaveToDevice() {
+        this.elements.saveToDeviceButton.disabled = true;
+        try {
+            await this.deviceSync.saveToDevice();
+        } finally {
+            this.elements.saveToDeviceButton.disabled = false;
+        }
+    }
+
     onZoomIn() {
         this.canvas.zoomIn();
         this.updateZoomDisplay();
@@ -1213,20 +7675,26 @@ class UIManager {
 
     onClearSelection() {
         // Clear the cell selection dropdown
+        this.selection = [];
         this.elements.cellSelect.value = '';
 
         // Redraw screen without any cell highlighted
-        const screenKey = this.elements.screenSelect.value;
-        const cells = this.config.getScreen(screenKey);
-        this.canvas.drawScreen(cells);
+        this.redrawCanvas(this.elements.screenSelect.value);
 
         // Clear the properties panel
         this.elements.cellDetails.innerHTML = '<p class="no-cell">Select a cell to edit its properties</p>';
     }
 
     onAddScreen() {
-        const newScreenKey = this.config.addScreen();
-        if (newScreenKey) {
+        if (!this.config.data) {
+            this.updateStatus('Failed to add screen', 'error');
+            return;
+        }
+
+        const newScreenKey = this.config.getNextScreenKey();
+        const command = new AddScreenCommand(this.config, newScreenKey, [this.config.createCell('New Cell')],
+            Object.keys(this.config.data).length);
+        if (this.history.execute(command)) {
             // Refresh screen dropdown
             this.populateScreenDropdown();
 
@@ -1255,67 +7723,245 @@ class UIManager {
             return;
         }
 
-        // Check if this is the last screen
-        const screenKeys = this.config.getScreenKeys();
-        if (screenKeys.length <= 1) {
-            this.updateStatus('Cannot delete the last screen', 'error');
+        // Check if this is the last screen
+        const screenKeys = this.config.getScreenKeys();
+        if (screenKeys.length <= 1) {
+            this.updateStatus('Cannot delete the last screen', 'error');
+            return;
+        }
+
+        // Confirm deletion
+        const screenName = formatScreenLabel(this.config.data, screenKey);
+        if (!confirm(`Are you sure you want to delete ${screenName}?`)) {
+            return;
+        }
+
+        // Numbered screens close the gap, as the device stops at the first missing SCREEN_n
+        const screens = getScreenList(this.config.data);
+        const index = screens.findIndex(screen => screen.key === screenKey);
+        if (index >= 0) {
+            screens.splice(index, 1);
+            const nextKey = `SCREEN_${Math.min(index, screens.length - 1) + 1}`;
+            this.history.execute(new DocumentEditCommand(this.config, rebuildScreens(this.config.data, screens), `Delete ${screenName}`, nextKey,
+                getScreenKeyMap(screens)));
+            const renumbered = index < screens.length ? '; later screens renumbered' : '';
+            this.updateStatus(`${screenName} deleted${renumbered}`, 'success');
+            return;
+        }
+
+        // Delete the screen
+        if (this.history.execute(new DeleteScreenCommand(this.config, screenKey))) {
+            // Refresh screen dropdown
+            this.populateScreenDropdown();
+
+            // Select another screen (first available)
+            const remainingScreens = this.config.getScreenKeys();
+            if (remainingScreens.length > 0) {
+                this.elements.screenSelect.value = remainingScreens[0];
+                this.onScreenChange(remainingScreens[0]);
+
+                // Select first cell if available
+                if (this.elements.cellSelect.options.length > 0) {
+                    this.elements.cellSelect.value = 0;
+                    this.elements.cellSelect.dispatchEvent(new Event('change'));
+                }
+            }
+
+            // Update status
+            this.updateStatus(`${screenName} deleted`, 'success');
+        } else {
+            this.updateStatus('Failed to delete screen', 'error');
+        }
+    }
+
+    onAddCell() {
+        const screenKey = this.elements.screenSelect.value;
+
+        if (!screenKey) {
+            this.updateStatus('No screen selected', 'error');
+            return;
+        }
+
+        // Add new cell
+        const cells = this.config.getScreen(screenKey);
+        const newCellIndex = cells.length;
+        const command = new AddCellCommand(this.config, screenKey, this.config.createCell(`Cell ${cells.length + 1}`), newCellIndex);
+        if (this.history.execute(command)) {
+            // Refresh cell dropdown
+            this.populateCellDropdown(screenKey);
+
+            // Select the new cell
+            this.elements.cellSelect.value = newCellIndex;
+            this.elements.cellSelect.dispatchEvent(new Event('change'));
+
+            // Update status
+            this.updateStatus(`New cell added`, 'success');
+        } else {
+            this.updateStatus('Failed to add cell', 'error');
+        }
+    }
+
+    // Copy and paste apply to cells only on the editor page, outside text fields
+    canUseCellClipboard(target) {
+        return this.isEditorVisible() && !!this.config.data && !this.isTextEditingTarget(target) &&
+            !(target && target.tagName === 'INPUT' && target.type === 'number');
+    }
+
+    // Selected cell indices, or the cell in cellSelect when nothing is multi-selected
+    getActionIndices() {
+        const indices = this.getSelectedIndices();
+        if (indices.length > 0) return indices;
+        const cellIndex = parseInt(this.elements.cellSelect.value, 10);
+        return cellIndex >= 0 && cellIndex < this.config.getScreen(this.elements.screenSelect.value).length ? [cellIndex] : [];
+    }
+
+    getClipboardCells() {
+        const cells = this.config.getScreen(this.elements.screenSelect.value);
+        return this.getActionIndices().map(idx => cells[idx]);
+    }
+
+    // Move the selected cells in the paint order: 'forward', 'backward', 'front' or 'back'
+    onLayerOrder(direction) {
+        const screenKey = this.elements.screenSelect.value;
+        const cells = this.config.getScreen(screenKey);
+        const indices = this.getActionIndices();
+        if (indices.length === 0) {
+            this.updateStatus('No cell selected', 'error');
+            return;
+        }
+
+        const order = getLayerOrder(cells.length, indices, direction);
+        if (order.every((oldIndex, newIndex) => oldIndex === newIndex)) {
+            const edge = direction === 'forward' || direction === 'front' ? 'front' : 'back';
+            this.updateStatus(`Already at the ${edge}`, 'info');
             return;
         }
 
-        // Confirm deletion
-        const screenName = screenKey.replace('SCREEN_', 'Screen ');
-        if (!confirm(`Are you sure you want to delete ${screenName}?`)) {
+        const labels = { forward: 'Bring forward', backward: 'Send backward', front: 'Bring to front', back: 'Send to back' };
+        const primary = parseInt(this.elements.cellSelect.value, 10);
+        const newIndices = indices.map(idx => order.indexOf(idx));
+        const newPrimary = indices.includes(primary) ? order.indexOf(primary) : newIndices[newIndices.length - 1];
+        if (!this.history.execute(new ReorderCellsCommand(this.config, screenKey, order, newPrimary, labels[direction]))) {
+            this.updateStatus('Failed to reorder cells', 'error');
             return;
         }
 
-        // Delete the screen
-        if (this.config.deleteScreen(screenKey)) {
-            // Refresh screen dropdown
-            this.populateScreenDropdown();
-
-            // Select another screen (first available)
-            const remainingScreens = this.config.getScreenKeys();
-            if (remainingScreens.length > 0) {
-                this.elements.screenSelect.value = remainingScreens[0];
-                this.onScreenChange(remainingScreens[0]);
+        this.populateCellDropdown(screenKey);
+        this.setSelection(screenKey, newIndices, newPrimary);
+        this.updateStatus(labels[direction], 'success');
+    }
 
-                // Select first cell if available
-                if (this.elements.cellSelect.options.length > 0) {
-                    this.elements.cellSelect.value = 0;
-                    this.elements.cellSelect.dispatchEvent(new Event('change'));
-                }
-            }
+    // Hide or show a cell in the editor preview only; the config is not changed
+    toggleCellVisibility(cellIndex) {
+        const screenKey = this.elements.screenSelect.value;
+        if (!this.config.getScreen(screenKey)[cellIndex]) return;
 
-            // Update status
-            this.updateStatus(`${screenName} deleted`, 'success');
+        // Kept by screen and index; commands that move cells remap it (see remapHiddenCells)
+        const hidden = new Set(this.hiddenCells.get(screenKey));
+        if (hidden.has(cellIndex)) {
+            hidden.delete(cellIndex);
         } else {
-            this.updateStatus('Failed to delete screen', 'error');
+            hidden.add(cellIndex);
         }
+        this.hiddenCells.set(screenKey, hidden);
+        this.redrawCanvas(screenKey, parseInt(this.elements.cellSelect.value, 10));
     }
 
-    onAddCell() {
-        const screenKey = this.elements.screenSelect.value;
+    // Cells topmost first, as they stack on the panel
+    renderLayerList(screenKey) {
+        const list = this.elements.layerList;
+        if (!list) return;
+
+        const cells = this.config.getScreen(screenKey);
+        const selected = this.getSelectedIndices();
+        const actionCount = this.getActionIndices().length;
+        const hiddenCells = this.hiddenCells.get(screenKey) || new Set();
+
+        // Redraws come with every drag move, live frame and blink tick; rebuilding the rows under the pointer would eat clicks
+        const signature = JSON.stringify([
+            screenKey, selected, actionCount,
+            cells.map((cell, idx) => [cell.name, String(cell.enabled), hiddenCells.has(idx)])
+        ]);
+        if (signature === this.layerListSignature) return;
+        this.layerListSignature = signature;
+        const eye = '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" stroke-width="2"/><circle cx="12" cy="12" r="3" stroke-width="2"/>';
+        const eyeOff = '<path d="M17.94 17.94A10 10 0 0 1 12 20c-7 0-11-8-11-8a18 18 0 0 1 5.06-5.94M9.9 4.24A9 9 0 0 1 12 4c7 0 11 8 11 8a18 18 0 0 1-2.16 3.19" stroke-width="2" stroke-linecap="round"/><line x1="1" y1="1" x2="23" y2="23" stroke-width="2" stroke-linecap="round"/>';
+
+        list.innerHTML = cells.map((cell, idx) => {
+            const hidden = hiddenCells.has(idx);
+            const disabled = String(cell.enabled) === 'false';
+            return `
+                <li class="layer-item ${selected.includes(idx) ? 'selected' : ''} ${hidden ? 'is-hidden' : ''} ${disabled ? 'is-disabled' : ''}" data-index="${idx}">
+                    <button class="btn-icon" data-visibility title="${hidden ? 'Show in the editor' : 'Hide in the editor'}">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor">${hidden ? eyeOff : eye}</svg>
+                    </button>
+                    <span class="layer-name">${escapeHtml(cell.name || `Cell ${idx + 1}`)}</span>
+                    ${disabled ? '<span class="layer-badge" title="enabled is false; the device does not show this cell">off</span>' : ''}
+                </li>
+            `;
+        }).reverse().join('');
+
+        if (this.elements.layerActions) {
+            this.elements.layerActions.querySelectorAll('[data-layer]').forEach(btn => {
+                btn.disabled = actionCount === 0 || cells.length < 2;
+            });
+        }
+    }
+
+    // Returns the clipboard text, or null when no cell is selected
+    onCopyCells() {
+        const cells = this.getClipboardCells();
+        if (cells.length === 0) return null;
+
+        this.cellClipboard = serializeCellClipboard(cells);
+        this.updateStatus(`${cells.length} cell${cells.length > 1 ? 's' : ''} copied`, 'success');
+        return this.cellClipboard;
+    }
 
+    onPasteCells(text) {
+        const screenKey = this.elements.screenSelect.value;
         if (!screenKey) {
             this.updateStatus('No screen selected', 'error');
             return;
         }
 
-        // Add new cell
-        const newCellIndex = this.config.addCell(screenKey);
-        if (newCellIndex >= 0) {
-            // Refresh cell dropdown
-            this.populateCellDropdown(screenKey);
+        const cells = text ? parseCellClipboard(text) : null;
+        if (!cells) {
+            this.updateStatus('Clipboard does not contain cells', 'error');
+            return;
+        }
+        this.insertCells(screenKey, cells, 'Paste');
+    }
 
-            // Select the new cell
-            this.elements.cellSelect.value = newCellIndex;
-            this.elements.cellSelect.dispatchEvent(new Event('change'));
+    onDuplicateCells() {
+        const cells = this.getClipboardCells();
+        if (cells.length === 0) {
+            this.updateStatus('No cell selected', 'error');
+            return;
+        }
+        this.insertCells(this.elements.screenSelect.value, cells, 'Duplicate');
+    }
 
-            // Update status
-            this.updateStatus(`New cell added`, 'success');
-        } else {
-            this.updateStatus('Failed to add cell', 'error');
+    // Append copies of cells to screenKey as one undo step, offset clear of matching cells, and select them
+    insertCells(screenKey, cells, verb) {
+        const existing = this.config.getScreen(screenKey);
+        const panel = { width: this.canvas.canvas.width, height: this.canvas.canvas.height };
+        const placed = placePastedCells(cells, existing, panel);
+        const first = existing.length;
+        const noun = placed.length > 1 ? `${placed.length} cells` : 'cell';
+
+        const command = new CompositeCommand(
+            placed.map((cell, i) => new AddCellCommand(this.config, screenKey, cell, first + i)),
+            { label: `${verb} ${noun}` }
+        );
+        if (!this.history.execute(command)) {
+            this.updateStatus(`Failed to ${verb.toLowerCase()} cells`, 'error');
+            return;
         }
+
+        this.populateCellDropdown(screenKey);
+        this.setSelection(screenKey, placed.map((cell, i) => first + i));
+        this.updateStatus(`${verb}d ${noun}`, 'success');
     }
 
     onDeleteCell() {
@@ -1344,7 +7990,7 @@ class UIManager {
         }
 
         // Delete the cell
-        if (this.config.deleteCell(screenKey, cellIndex)) {
+        if (this.history.execute(new DeleteCellCommand(this.config, screenKey, cellIndex))) {
             // Refresh cell dropdown
             this.populateCellDropdown(screenKey);
 
@@ -1392,8 +8038,10 @@ class UIManager {
 // ============================================================================
 
 class SettingsManager {
-    constructor(configManager) {
+    constructor(configManager, historyManager, deviceSyncManager) {
         this.config = configManager;
+        this.history = historyManager;
+        this.deviceSync = deviceSyncManager;
         this.elements = {
             can_id_1: document.getElementById('can_id_1'),
             can_speed_kbps: document.getElementById('can_speed_kbps'),
@@ -1409,7 +8057,8 @@ class SettingsManager {
             wifi_mdns: document.getElementById('wifi_mdns'),
             wifi_ap_ssid: document.getElementById('wifi_ap_ssid'),
             wifi_ap_password: document.getElementById('wifi_ap_password'),
-            saveSettingsButton: document.getElementById('saveSettingsButton')
+            saveSettingsButton: document.getElementById('saveSettingsButton'),
+            downloadSettingsButton: document.getElementById('downloadSettingsButton')
         };
     }
 
@@ -1421,6 +8070,14 @@ class SettingsManager {
         this.setupEventListeners();
     }
 
+    // Rebuild the form from the config (after undo/redo or opening another file)
+    refresh() {
+        this.populateEngineTypes();
+        this.populateCanSpeeds();
+        this.loadSettings();
+        this.updateWifiFieldsState();
+    }
+
     populateEngineTypes() {
         const engineTypes = this.config.getEngineTypes();
         this.elements.current_engine_type.innerHTML = '';
@@ -1536,6 +8193,12 @@ class SettingsManager {
             this.saveSettings();
         });
 
+        if (this.elements.downloadSettingsButton) {
+            this.elements.downloadSettingsButton.addEventListener('click', () => {
+                this.saveSettings(true);
+            });
+        }
+
         // Handle WIFI mode changes
         this.elements.wifi_mode.addEventListener('change', () => {
             this.updateWifiFieldsState();
@@ -1569,24 +8232,36 @@ class SettingsManager {
         }
     }
 
-    saveSettings() {
-        // Update all settings in config
-        this.config.updateSetting('CAN_ID', 'ID1', this.elements.can_id_1.value);
-        this.config.updateSetting('CAN_SPEED', 'kbps', this.elements.can_speed_kbps.value);
-        this.config.updateSetting('UPDATE_INTERVAL', 'seconds', this.elements.update_interval_seconds.value);
-        this.config.updateSetting('CURRENT_ENGINE', 'engine_type', this.elements.current_engine_type.value);
-        this.config.updateSetting('POWER', 'minimal_voltage', this.elements.power_minimal_voltage.value);
-        this.config.updateSetting('POWER', 'forced_on_duration', this.elements.power_forced_on_duration.value);
-        this.config.updateSetting('LCD_BRIGHTNESS', 'type', this.elements.lcd_brightness_type.value);
-        this.config.updateSetting('LCD_BRIGHTNESS', 'intensity', this.elements.lcd_brightness_intensity.value);
-        this.config.updateSetting('WIFI', 'mode', this.elements.wifi_mode.value);
-        this.config.updateSetting('WIFI', 'ssid', this.elements.wifi_ssid.value);
-        this.config.updateSetting('WIFI', 'password', this.elements.wifi_password.value);
-        this.config.updateSetting('WIFI', 'mdns', this.elements.wifi_mdns.value);
-        this.config.updateSetting('WIFI', 'ap_ssid', this.elements.wifi_ap_ssid.value);
-        this.config.updateSetting('WIFI', 'ap_password', this.elements.wifi_ap_password.value);
-
-        // Export config
+    async saveSettings(download = false) {
+        // Update all settings in config as a single undoable step
+        this.history.execute(SettingsUpdateCommand.fromUpdates(this.config, [
+            { section: 'CAN_ID', key: 'ID1', value: this.elements.can_id_1.value },
+            { section: 'CAN_SPEED', key: 'kbps', value: this.elements.can_speed_kbps.value },
+            { section: 'UPDATE_INTERVAL', key: 'seconds', value: this.elements.update_interval_seconds.value },
+            { section: 'CURRENT_ENGINE', key: 'engine_type', value: this.elements.current_engine_type.value },
+            { section: 'POWER', key: 'minimal_voltage', value: this.elements.power_minimal_voltage.value },
+            { section: 'POWER', key: 'forced_on_duration', value: this.elements.power_forced_on_duration.value },
+            { section: 'LCD_BRIGHTNESS', key: 'type', value: this.elements.lcd_brightness_type.value },
+            { section: 'LCD_BRIGHTNESS', key: 'intensity', value: this.elements.lcd_brightness_intensity.value },
+            { section: 'WIFI', key: 'mode', value: this.elements.wifi_mode.value },
+            { section: 'WIFI', key: 'ssid', value: this.elements.wifi_ssid.value },
+            { section: 'WIFI', key: 'password', value: this.elements.wifi_password.value },
+            { section: 'WIFI', key: 'mdns', value: this.elements.wifi_mdns.value },
+            { section: 'WIFI', key: 'ap_ssid', value: this.elements.wifi_ap_ssid.value },
+            { section: 'WIFI', key: 'ap_password', value: this.elements.wifi_ap_password.value }
+        ]));
+
+        // Send to the device, or export when asked to download
+        if (!download) {
+            this.elements.saveSettingsButton.disabled = true;
+            try {
+                await this.deviceSync.saveToDevice();
+            } finally {
+                this.elements.saveSettingsButton.disabled = false;
+            }
+            return;
+        }
+
         this.config.exportConfig();
 
         // Update status
@@ -1603,20 +8278,692 @@ class SettingsManager {
     }
 }
 
+// ============================================================================
+// Engine PID Editor
+// ============================================================================
+
+// Meaning of the nine request frame fields (CAN ID then an ISO-TP single frame)
+const REQUEST_FRAME_FIELDS = [
+    { label: 'ID', title: 'CAN ID the request is sent to (e.g. 0x7e0 for the engine ECU)', max: 0x7ff },
+    { label: 'D0', title: 'Frame length (number of request bytes that follow)', max: 0xff },
+    { label: 'D1', title: 'Service (0x22 = read data by identifier)', max: 0xff },
+    { label: 'D2', title: 'Identifier high byte', max: 0xff },
+    { label: 'D3', title: 'Identifier low byte', max: 0xff },
+    { label: 'D4', title: 'Padding', max: 0xff },
+    { label: 'D5', title: 'Padding', max: 0xff },
+    { label: 'D6', title: 'Padding', max: 0xff },
+    { label: 'D7', title: 'Padding', max: 0xff }
+];
+
+const DEFAULT_REQUEST_FRAME = '0x7e0, 0x03, 0x22, 0x00, 0x00, 0x55, 0x55, 0x55, 0x55';
+const DEFAULT_RESPONSE_FORMULA = 'int16(A,B)';
+
+/**
+ * Parse "0x7e0, 0x03, ..." into nine numbers.
+ * Returns { bytes, error } where error is null when the frame is valid.
+ */
+function parseRequestFrame(text) {
+    const parts = String(text || '').split(',').map(part => part.trim());
+    if (parts.length !== REQUEST_FRAME_FIELDS.length) {
+        return { bytes: null, error: `Expected ${REQUEST_FRAME_FIELDS.length} comma-separated values, found ${parts.length}` };
+    }
+
+    const bytes = [];
+    for (let i = 0; i < parts.length; i++) {
+        if (!/^0x[0-9a-f]+$/i.test(parts[i])) {
+            return { bytes: null, error: `${REQUEST_FRAME_FIELDS[i].label}: "${parts[i]}" is not a 0x.. hex value` };
+        }
+        const value = parseInt(parts[i], 16);
+        if (value > REQUEST_FRAME_FIELDS[i].max) {
+            return { bytes: null, error: `${REQUEST_FRAME_FIELDS[i].label}: ${parts[i]} is larger than 0x${REQUEST_FRAME_FIELDS[i].max.toString(16)}` };
+        }
+        bytes.push(value);
+    }
+    return { bytes, error: null };
+}
+
+// Inverse of parseRequestFrame, in the lowercase style of config.json
+function formatRequestFrame(bytes) {
+    return bytes.map((value, i) => '0x' + value.toString(16).padStart(i === 0 ? 3 : 2, '0')).join(', ');
+}
+
+// Data keys of an engine table in document order, including ones that only have a _RES formula
+function getEngineDataKeys(section) {
+    const keys = [];
+    Object.keys(section).forEach(key => {
+        const base = key.endsWith('_RES') ? key.slice(0, -4) : key;
+        if (!keys.includes(base)) keys.push(base);
+    });
+    return keys;
+}
+
+// Returns an error message, or null when name can be used as a new data key
+// (or kept by current, the key being renamed)
+function validateEngineKeyName(name, section, current = null) {
+    if (name === current) return null;
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name)) return 'Use upper-case letters, digits and underscores, starting with a letter';
+    if (name.endsWith('_RES')) return 'Names ending in _RES are reserved for formulas';
+    if (DEVICE_DATA_SOURCES.includes(name)) return `${name} is measured by the device itself`;
+    if (getEngineDataKeys(section).includes(name)) return `${name} already exists`;
+    return null;
+}
+
+/**
+ * Rebuild a table with some data keys changed. changes maps a data key to
+ * { key, request, formula } - key renames it, undefined leaves a field alone and
+ * null removes that half - or to null to drop the key. insert is an optional
+ * { key, after, request, formula } added after data key `after`, or at the end.
+ * KEY is always kept directly before KEY_RES.
+ */
+function rebuildEngineTable(section, changes, insert = null) {
+    const result = {};
+    const emit = (key, pair) => {
+        if (pair.request !== undefined && pair.request !== null) result[key] = pair.request;
+        if (pair.formula !== undefined && pair.formula !== null) result[`${key}_RES`] = pair.formula;
+    };
+
+    getEngineDataKeys(section).forEach(key => {
+        const current = { request: section[key], formula: section[`${key}_RES`] };
+        if (key in changes) {
+            const change = changes[key];
+            if (change) {
+                emit(change.key || key, {
+                    request: change.request !== undefined ? change.request : current.request,
+                    formula: change.formula !== undefined ? change.formula : current.formula
+                });
+            }
+        } else {
+            emit(key, current);
+        }
+
+        if (insert && insert.after === key) emit(insert.key, insert);
+    });
+
+    if (insert && !insert.after) emit(insert.key, insert);
+    return result;
+}
+
+// Engine profiles: ENGINE_CODES.engine_codes_list, one PID table section per code and CURRENT_ENGINE
+
+function getEngineCodes(doc) {
+    return String(doc.ENGINE_CODES?.engine_codes_list || '').split(',').map(code => code.trim()).filter(Boolean);
+}
+
+// Returns an error message, or null when code can name a new engine profile
+// (or be kept by current, the profile being renamed)
+function validateEngineCode(code, doc, current = null) {
+    if (code === current) return null;
+    if (!/^[A-Z][A-Z0-9_]*$/.test(code)) return 'Use upper-case letters, digits and underscores, starting with a letter';
+    if (/^SCREEN_/.test(code)) return 'SCREEN_ names are reserved for screens';
+    const reserved = [SCREEN_TITLES_SECTION, 'DATA_TYPES_SCREEN', ...Object.keys(SETTINGS_SCHEMA)];
+    if (reserved.includes(code)) return `${code} is a reserved section name`;
+    if (getEngineCodes(doc).includes(code)) return `${code} already exists`;
+    if (code in doc) return `${code} is already used by another section`;
+    return null;
+}
+
+// Copy of doc with the top-level keys rebuilt by fn(key, value, emit)
+function rebuildDocument(doc, fn) {
+    const result = {};
+    const emit = (key, value) => { result[key] = value; };
+    Object.keys(doc).forEach(key => fn(key, doc[key], emit));
+    return result;
+}
+
+/**
+ * New document with engine `code` added after the last engine section, as an empty
+ * table or a copy of `sourceCode`'s table.
+ */
+function createEngineProfile(doc, code, sourceCode = null) {
+    const codes = getEngineCodes(doc);
+    const table = sourceCode ? deepClone(doc[sourceCode] || {}) : {};
+    const lastSection = [...codes].reverse().find(c => c in doc);
+
+    const result = rebuildDocument(doc, (key, value, emit) => {
+        emit(key, key === 'ENGINE_CODES' ? { ...value, engine_codes_list: codes.concat(code).join(', ') } : deepClone(value));
+        if (key === lastSection) emit(code, table);
+    });
+    if (!lastSection) result[code] = table;
+    return result;
+}
+
+// New document with the engine renamed everywhere (list, section key, CURRENT_ENGINE)
+function renameEngineProfile(doc, oldCode, newCode) {
+    const codes = getEngineCodes(doc).map(code => (code === oldCode ? newCode : code));
+    return rebuildDocument(doc, (key, value, emit) => {
+        if (key === oldCode) {
+            emit(newCode, deepClone(value));
+        } else if (key === 'ENGINE_CODES') {
+            emit(key, { ...value, engine_codes_list: codes.join(', ') });
+        } else if (key === 'CURRENT_ENGINE' && value.engine_type === oldCode) {
+            emit(key, { ...value, engine_type: newCode });
+        } else {
+            emit(key, deepClone(value));
+        }
+    });
+}
+
+// New document without the engine; callers must not delete the active engine
+function deleteEngineProfile(doc, code) {
+    const codes = getEngineCodes(doc).filter(c => c !== code);
+    return rebuildDocument(doc, (key, value, emit) => {
+        if (key === code) return;
+        emit(key, key === 'ENGINE_CODES' ? { ...value, engine_codes_list: codes.join(', ') } : deepClone(value));
+    });
+}
+
+class EnginePidManager {
+    constructor(configManager, historyManager) {
+        this.config = configManager;
+        this.history = historyManager;
+        this.engine = null;
+        this.selectedKey = null;
+        this.testBytes = ''; // Response bytes typed into the formula test panel
+        this.elements = {
+            engineSelect: document.getElementById('pidEngineSelect'),
+            keyList: document.getElementById('pidKeyList'),
+            details: document.getElementById('pidDetails'),
+            addButton: document.getElementById('pidAddKey'),
+            newEngineButton: document.getElementById('engineNew'),
+            cloneEngineButton: document.getElementById('engineClone'),
+            renameEngineButton: document.getElementById('engineRename'),
+            deleteEngineButton: document.getElementById('engineDelete'),
+            statusText: document.getElementById('statusText')
+        };
+    }
+
+    initialize() {
+        if (!this.elements.engineSelect) return;
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    setupEventListeners() {
+        this.elements.engineSelect.addEventListener('change', () => {
+            this.engine = this.elements.engineSelect.value;
+            this.selectedKey = null;
+            this.render();
+        });
+
+        this.elements.keyList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-key]');
+            if (item) {
+                this.selectedKey = item.dataset.key;
+                this.render();
+            }
+        });
+
+        this.elements.addButton.addEventListener('click', () => {
+            this.onAddKey();
+        });
+
+        // Engine profile actions
+        this.elements.newEngineButton.addEventListener('click', () => {
+            this.onCreateEngine(null);
+        });
+
+        this.elements.cloneEngineButton.addEventListener('click', () => {
+            this.onCreateEngine(this.engine);
+        });
+
+        this.elements.renameEngineButton.addEventListener('click', () => {
+            this.onRenameEngine();
+        });
+
+        this.elements.deleteEngineButton.addEventListener('click', () => {
+            this.onDeleteEngine();
+        });
+
+        this.elements.details.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-pid-action]');
+            if (!btn) return;
+            switch (btn.dataset.pidAction) {
+                case 'rename': this.onRenameKey(); break;
+                case 'duplicate': this.onDuplicateKey(); break;
+                case 'delete': this.onDeleteKey(); break;
+                case 'add-request': this.updatePair({ request: DEFAULT_REQUEST_FRAME }, 'Add request frame'); break;
+                case 'add-formula': this.updatePair({ formula: DEFAULT_RESPONSE_FORMULA }, 'Add formula'); break;
+            }
+        });
+
+        this.elements.details.addEventListener('input', (e) => {
+            if (e.target.matches('.frame-byte')) {
+                this.onFrameByteInput();
+            } else if (e.target.matches('#pidRawRequest')) {
+                this.updatePair({ request: e.target.value }, 'Edit request frame', 'request', false);
+            } else if (e.target.matches('#pidFormula')) {
+                this.updatePair({ formula: e.target.value }, 'Edit formula', 'formula', false);
+                this.updateFormulaFeedback();
+            } else if (e.target.matches('#pidTestBytes')) {
+                this.testBytes = e.target.value;
+                this.updateFormulaFeedback();
+            }
+        });
+    }
+
+    // Re-read the config (after load, undo/redo or engine changes elsewhere)
+    refresh() {
+        const engines = this.config.getEngineTypes().filter(engine => this.config.data?.[engine]);
+        const current = this.config.data?.CURRENT_ENGINE?.engine_type;
+        if (!engines.includes(this.engine)) {
+            this.engine = engines.includes(current) ? current : engines[0] || null;
+            this.selectedKey = null;
+        }
+
+        this.elements.engineSelect.innerHTML = engines.map(engine =>
+            `<option value="${escapeHtml(engine)}">${escapeHtml(engine)}${engine === current ? ' (current)' : ''}</option>`
+        ).join('');
+        if (this.engine) this.elements.engineSelect.value = this.engine;
+        this.render();
+    }
+
+    // The active engine (and the last one) cannot be deleted
+    updateEngineButtons() {
+        const current = this.config.data?.CURRENT_ENGINE?.engine_type;
+        const count = getEngineCodes(this.config.data || {}).length;
+        this.elements.cloneEngineButton.disabled = !this.engine;
+        this.elements.renameEngineButton.disabled = !this.engine;
+        this.elements.deleteEngineButton.disabled = !this.engine || this.engine === current || count <= 1;
+        this.elements.deleteEngineButton.title = this.engine === current
+            ? 'The current engine cannot be deleted; switch engines in Settings first'
+            : 'Delete this engine profile';
+        this.elements.addButton.disabled = !this.engine;
+    }
+
+    getSection() {
+        return this.engine ? this.config.getEngineSection(this.engine) : {};
+    }
+
+    render() {
+        this.updateEngineButtons();
+        const section = this.getSection();
+        const keys = getEngineDataKeys(section);
+        if (!keys.includes(this.selectedKey)) this.selectedKey = keys[0] || null;
+
+        this.elements.keyList.innerHTML = keys.map(key => {
+            const problem = this.getKeyProblem(section, key);
+            return `
+                <li class="pid-key ${key === this.selectedKey ? 'active' : ''}" data-key="${escapeHtml(key)}">
+                    <span class="pid-key-name">${escapeHtml(key)}</span>
+                    <span class="pid-key-warning ${problem ? '' : 'hidden'}" title="${escapeHtml(problem || '')}">!</span>
+                </li>
+            `;
+        }).join('') || '<li class="source-empty">No data keys</li>';
+
+        this.renderDetails(section);
+    }
+
+    renderDetails(section) {
+        const key = this.selectedKey;
+        if (!key) {
+            this.elements.details.innerHTML = '<p class="no-cell">Add a data key to get started</p>';
+            return;
+        }
+
+        const request = section[key];
+        const formula = section[`${key}_RES`];
+        const info = describeDataSource(key, section);
+        const parsed = request !== undefined ? parseRequestFrame(request) : null;
+
+        let requestHtml;
+        if (request === undefined) {
+            requestHtml = `<p class="property-hint">No request frame for ${escapeHtml(key)}.</p>
+                <button type="button" class="btn-action" data-pid-action="add-request">Add request frame</button>`;
+        } else if (parsed.error) {
+            // Unparseable frames are edited as raw text until they are valid again
+            requestHtml = `<input type="text" id="pidRawRequest" class="settings-input" value="${escapeHtml(request)}" />
+                <p class="property-hint">${escapeHtml(parsed.error)}</p>`;
+        } else {
+            requestHtml = `<div class="frame-bytes">${parsed.bytes.map((value, i) => `
+                <label class="frame-field" title="${escapeHtml(REQUEST_FRAME_FIELDS[i].title)}">
+                    <span>${REQUEST_FRAME_FIELDS[i].label}</span>
+                    <input type="text" class="frame-byte ${i === 0 ? 'frame-id' : ''}" data-index="${i}"
+                        value="${value.toString(16).padStart(i === 0 ? 3 : 2, '0')}" maxlength="${i === 0 ? 3 : 2}" spellcheck="false" />
+                </label>`).join('')}
+            </div>
+            <p class="property-hint pid-frame-error hidden"></p>`;
+        }
+
+        const formulaHtml = formula === undefined
+            ? `<p class="property-hint">No ${escapeHtml(key)}_RES formula.</p>
+                <button type="button" class="btn-action" data-pid-action="add-formula">Add formula</button>`
+            : `<input type="text" id="pidFormula" class="settings-input" value="${escapeHtml(formula)}" spellcheck="false" />
+                <p id="pidFormulaError" class="formula-error hidden"></p>
+                <div class="formula-test">
+                    <label for="pidTestBytes">Test with response bytes</label>
+                    <input type="text" id="pidTestBytes" class="settings-input" value="${escapeHtml(this.testBytes)}"
+                        placeholder="e.g. 01 2c, or the whole response 62 11 4f 01 2c" spellcheck="false" />
+                    <p id="pidTestResult" class="formula-result"></p>
+                </div>`;
+
+        this.elements.details.innerHTML = `
+            <div class="pid-details-header">
+                <div>
+                    <h3 class="pid-details-title">${escapeHtml(key)}</h3>
+                    <p class="data-source-info">${escapeHtml(formatDataSourceDetails(info))}</p>
+                </div>
+                <div class="control-actions">
+                    <button type="button" class="btn-action" data-pid-action="rename">Rename</button>
+                    <button type="button" class="btn-action" data-pid-action="duplicate">Duplicate</button>
+                    <button type="button" class="btn-action btn-danger" data-pid-action="delete">Delete</button>
+                </div>
+            </div>
+            <div class="settings-field">
+                <label>Request Frame</label>
+                ${requestHtml}
+            </div>
+            <div class="settings-field">
+                <label for="pidFormula">Response Formula (${escapeHtml(key)}_RES)</label>
+                ${formulaHtml}
+            </div>
+        `;
+        this.updateFormulaFeedback();
+    }
+
+    // Write the byte inputs back as one frame string once every field is valid hex
+    onFrameByteInput() {
+        const inputs = Array.from(this.elements.details.querySelectorAll('.frame-byte'));
+        const errorEl = this.elements.details.querySelector('.pid-frame-error');
+        const bytes = [];
+        let error = null;
+
+        inputs.forEach((input, i) => {
+            const text = input.value.trim();
+            const valid = /^[0-9a-f]+$/i.test(text) && parseInt(text, 16) <= REQUEST_FRAME_FIELDS[i].max;
+            input.classList.toggle('invalid', !valid);
+            if (!valid && !error) error = `${REQUEST_FRAME_FIELDS[i].label} must be hex up to ${REQUEST_FRAME_FIELDS[i].max.toString(16)}`;
+            bytes.push(parseInt(text, 16));
+        });
+
+        errorEl.textContent = error || '';
+        errorEl.classList.toggle('hidden', !error);
+        if (!error) {
+            this.updatePair({ request: formatRequestFrame(bytes) }, 'Edit request frame', 'request', false);
+        }
+    }
+
+    // Apply a change to the selected key's request/formula as an undoable step
+    updatePair(change, label, field = null, rerender = true) {
+        const section = this.getSection();
+        const after = rebuildEngineTable(section, { [this.selectedKey]: change });
+        this.history.execute(new EngineTableCommand(this.config, this.engine, after, {
+            label: label,
+            coalesceKey: field ? `${this.engine}:${this.selectedKey}:${field}` : null
+        }));
+        if (rerender) {
+            this.render();
+        } else {
+            this.renderKeyList();
+        }
+    }
+
+    renderKeyList() {
+        // Cheap refresh of the list markers without touching the inputs being typed in
+        const section = this.getSection();
+        this.elements.keyList.querySelectorAll('[data-key]').forEach(item => {
+            const warning = item.querySelector('.pid-key-warning');
+            const problem = this.getKeyProblem(section, item.dataset.key);
+            warning.classList.toggle('hidden', !problem);
+            warning.title = problem || '';
+        });
+    }
+
+    getKeyProblem(section, key) {
+        if (!(key in section)) return 'No request frame';
+        if (!(`${key}_RES` in section)) return 'No response formula';
+        if (parseRequestFrame(section[key]).error) return 'Invalid request frame';
+        if (checkFormula(section[`${key}_RES`]).error) return 'Formula error';
+        return null;
+    }
+
+    /**
+     * Show the formula's syntax error under the input, and decode the test bytes.
+     * A pasted full response ("62 11 4f ..." or with the length byte first) has its
+     * header skipped when it echoes this key's identifier.
+     */
+    updateFormulaFeedback() {
+        const errorEl = this.elements.details.querySelector('#pidFormulaError');
+        const resultEl = this.elements.details.querySelector('#pidTestResult');
+        if (!errorEl || !resultEl) return;
+
+        const section = this.getSection();
+        const formula = section[`${this.selectedKey}_RES`];
+        const { ast, error } = checkFormula(formula);
+
+        if (error) {
+            errorEl.innerHTML = `<code>${escapeHtml(formula)}\n${' '.repeat(error.position)}^</code>${escapeHtml(error.message)}`;
+            errorEl.classList.remove('hidden');
+        } else {
+            errorEl.classList.add('hidden');
+        }
+
+        const text = this.testBytes.trim();
+        resultEl.className = 'formula-result';
+        if (!text) {
+            resultEl.textContent = ast ? `Reads ${getFormulaByteCount(ast) || 'all'} response byte(s), A first` : '';
+            return;
+        }
+        if (!ast) {
+            resultEl.textContent = 'Fix the formula to test it';
+            return;
+        }
+
+        let bytes = parseHexBytes(text);
+        if (!bytes) {
+            resultEl.textContent = 'Enter response bytes as hex, e.g. 01 2c';
+            resultEl.classList.add('formula-result-error');
+            return;
+        }
+
+        let note = '';
+        const request = parseRequestFrame(section[this.selectedKey]);
+        if (!request.error) {
+            const [, , service, idHigh, idLow] = request.bytes;
+            const start = [0, 1].find(i => bytes[i] === service + 0x40 && bytes[i + 1] === idHigh && bytes[i + 2] === idLow);
+            if (start !== undefined) {
+                note = ` (skipped header ${bytes.slice(0, start + 3).map(b => b.toString(16).padStart(2, '0')).join(' ')})`;
+                bytes = bytes.slice(start + 3);
+            }
+        }
+
+        try {
+            const value = evaluateFormula(ast, bytes);
+            const info = describeDataSource(this.selectedKey, section);
+            const display = typeof value === 'number' ? value.toFixed(info.decimals) : `"${value}"`;
+            resultEl.textContent = `= ${display}${info.unit ? ' ' + info.unit : ''}${note}`;
+            resultEl.classList.add('formula-result-ok');
+        } catch (evalError) {
+            if (!(evalError instanceof FormulaError)) throw evalError;
+            resultEl.textContent = evalError.message + note;
+            resultEl.classList.add('formula-result-error');
+        }
+    }
+
+    promptEngineCode(message, initial, current = null) {
+        let code = initial;
+        for (;;) {
+            code = prompt(message, code);
+            if (code === null) return null;
+            code = code.trim().toUpperCase();
+            const error = validateEngineCode(code, this.config.data, current);
+            if (!error) return code;
+            message = `${error}. Engine code:`;
+        }
+    }
+
+    // Next unused "ETnn" code as a suggestion
+    suggestEngineCode() {
+        const codes = getEngineCodes(this.config.data);
+        for (let n = 1; ; n++) {
+            const code = 'ET' + String(n).padStart(2, '0');
+            if (!codes.includes(code) && !(code in this.config.data)) return code;
+        }
+    }
+
+    // Empty profile, or a copy of sourceCode's table as a starting point
+    onCreateEngine(sourceCode) {
+        if (!this.config.data) return;
+        const code = this.promptEngineCode(sourceCode ? `Clone ${sourceCode} as:` : 'New engine code:', this.suggestEngineCode());
+        if (!code) return;
+
+        const after = createEngineProfile(this.config.data, code, sourceCode);
+        this.history.execute(new DocumentEditCommand(this.config, after, sourceCode ? `Clone engine ${sourceCode}` : `Add engine ${code}`));
+        this.engine = code;
+        this.selectedKey = null;
+        this.refresh();
+        this.updateStatus(sourceCode ? `${sourceCode} cloned as ${code}` : `Engine ${code} added`, 'success');
+    }
+
+    onRenameEngine() {
+        const oldCode = this.engine;
+        if (!oldCode) return;
+        const code = this.promptEngineCode(`Rename engine ${oldCode} to:`, oldCode, oldCode);
+        if (!code || code === oldCode) return;
+
+        const after = renameEngineProfile(this.config.data, oldCode, code);
+        this.history.execute(new DocumentEditCommand(this.config, after, `Rename engine ${oldCode}`));
+        this.engine = code;
+        this.refresh();
+        this.updateStatus(`Engine ${oldCode} renamed to ${code}`, 'success');
+    }
+
+    onDeleteEngine() {
+        const code = this.engine;
+        if (!code) return;
+
+        if (code === this.config.data?.CURRENT_ENGINE?.engine_type) {
+            this.updateStatus(`${code} is the current engine; select another engine in Settings before deleting it`, 'error');
+            return;
+        }
+        if (getEngineCodes(this.config.data).length <= 1) {
+            this.updateStatus('Cannot delete the last engine', 'error');
+            return;
+        }
+        if (!confirm(`Delete engine ${code} and its PID table?`)) return;
+
+        const after = deleteEngineProfile(this.config.data, code);
+        this.history.execute(new DocumentEditCommand(this.config, after, `Delete engine ${code}`));
+        this.engine = null;
+        this.refresh();
+        this.updateStatus(`Engine ${code} deleted`, 'success');
+    }
+
+    promptKeyName(message, initial, current = null) {
+        const section = this.getSection();
+        let name = initial;
+        for (;;) {
+            name = prompt(message, name);
+            if (name === null) return null;
+            name = name.trim().toUpperCase();
+            const error = validateEngineKeyName(name, section, current);
+            if (!error) return name;
+            message = `${error}. Data key name:`;
+        }
+    }
+
+    onAddKey() {
+        if (!this.engine) return;
+        const name = this.promptKeyName('New data key name:', 'NEW_PID');
+        if (!name) return;
+
+        const after = rebuildEngineTable(this.getSection(), {}, {
+            key: name, request: DEFAULT_REQUEST_FRAME, formula: DEFAULT_RESPONSE_FORMULA
+        });
+        this.history.execute(new EngineTableCommand(this.config, this.engine, after, { label: `Add ${name}` }));
+        this.selectedKey = name;
+        this.render();
+        this.updateStatus(`${name} added to ${this.engine}`, 'success');
+    }
+
+    onDuplicateKey() {
+        const key = this.selectedKey;
+        const name = this.promptKeyName(`Name for the copy of ${key}:`, `${key}_COPY`);
+        if (!name) return;
+
+        const section = this.getSection();
+        const after = rebuildEngineTable(section, {}, {
+            key: name, after: key, request: section[key], formula: section[`${key}_RES`]
+        });
+        this.history.execute(new EngineTableCommand(this.config, this.engine, after, { label: `Duplicate ${key}` }));
+        this.selectedKey = name;
+        this.render();
+        this.updateStatus(`${key} duplicated as ${name}`, 'success');
+    }
+
+    // Renaming moves KEY and KEY_RES together and can repoint cells that display the key
+    onRenameKey() {
+        const key = this.selectedKey;
+        const name = this.promptKeyName(`Rename ${key} to:`, key, key);
+        if (!name || name === key) return;
+
+        const after = rebuildEngineTable(this.getSection(), { [key]: { key: name } });
+        const commands = [new EngineTableCommand(this.config, this.engine, after, { label: `Rename ${key}` })];
+
+        const users = this.findCellsUsing(key);
+        if (users.length > 0 && confirm(`${users.length} cell(s) show ${key}. Point them to ${name} as well?`)) {
+            users.forEach(({ screenKey, indices }) => {
+                commands.push(CellUpdateCommand.fromUpdates(this.config, screenKey, indices, { data1: name }));
+            });
+        }
+
+        this.history.execute(new CompositeCommand(commands, { label: `Rename ${key}`, affectsAll: commands.length > 1 }));
+        this.selectedKey = name;
+        this.render();
+        this.updateStatus(`${key} renamed to ${name}`, 'success');
+    }
+
+    onDeleteKey() {
+        const key = this.selectedKey;
+        const users = this.findCellsUsing(key);
+        const warning = users.length > 0
+            ? `\n\n${users.reduce((sum, u) => sum + u.indices.length, 0)} cell(s) still show this value.`
+            : '';
+        if (!confirm(`Delete ${key} and ${key}_RES from ${this.engine}?${warning}`)) return;
+
+        const after = rebuildEngineTable(this.getSection(), { [key]: null });
+        this.history.execute(new EngineTableCommand(this.config, this.engine, after, { label: `Delete ${key}` }));
+        this.selectedKey = null;
+        this.render();
+        this.updateStatus(`${key} deleted from ${this.engine}`, 'success');
+    }
+
+    // Cells only read keys from the current engine, so other engines have no users
+    findCellsUsing(key) {
+        if (this.engine !== this.config.data?.CURRENT_ENGINE?.engine_type) return [];
+        return this.config.getScreenKeys()
+            .map(screenKey => ({
+                screenKey,
+                indices: this.config.getScreen(screenKey)
+                    .map((cell, idx) => (cell.data1 === key ? idx : -1))
+                    .filter(idx => idx >= 0)
+            }))
+            .filter(entry => entry.indices.length > 0);
+    }
+
+    updateStatus(message, type) {
+        if (this.elements.statusText) {
+            this.elements.statusText.textContent = message;
+            this.elements.statusText.className = `status-${type}`;
+        }
+    }
+}
+
 // ============================================================================
 // Page Navigation Manager
 // ============================================================================
 
 class PageNavigationManager {
-    constructor(liveDataManager = null) {
+    constructor(liveDataManager = null, enginePidManager = null) {
         this.currentPage = 'screen-editor';
         this.navTabs = document.querySelectorAll('.nav-tab');
         this.pages = {
             'screen-editor': document.getElementById('screenEditorPage'),
             'settings': document.getElementById('settingsPage'),
+            'engine-pids': document.getElementById('enginePidsPage'),
             'live-data': document.getElementById('liveDataPage')
         };
         this.liveDataManager = liveDataManager;
+        this.enginePidManager = enginePidManager;
     }
 
     initialize() {
@@ -1643,6 +8990,11 @@ class PageNavigationManager {
             }
         }
 
+        // Engine tables may have changed through settings or imports
+        if (this.enginePidManager && pageName === 'engine-pids') {
+            this.enginePidManager.refresh();
+        }
+
         // Update nav tabs
         this.navTabs.forEach(tab => {
             if (tab.dataset.page === pageName) {
@@ -1691,22 +9043,50 @@ async function initializeApp() {
         await configManager.load();
 
         const canvasManager = new CanvasManager('myCanvas');
-        const uiManager = new UIManager(configManager, canvasManager);
-        const settingsManager = new SettingsManager(configManager);
+        const historyManager = new HistoryManager();
+        const deviceSyncManager = new DeviceSyncManager(configManager);
+        const uiManager = new UIManager(configManager, canvasManager, historyManager, deviceSyncManager);
+        const settingsManager = new SettingsManager(configManager, historyManager, deviceSyncManager);
+
+        const configImportManager = new ConfigImportManager(configManager, historyManager, deviceSyncManager);
+        const screenGeneratorManager = new ScreenGeneratorManager(configManager, canvasManager, historyManager, uiManager);
+        const enginePidManager = new EnginePidManager(configManager, historyManager);
+
+        // Keep the editor and settings form in sync with undo/redo and imports
+        historyManager.onChange((command, action) => {
+            uiManager.onHistoryChange(command, action);
+            if (action === 'undo' || action === 'redo' || command?.affectsAll) {
+                settingsManager.refresh();
+                enginePidManager.refresh();
+            }
+        });
 
         // Initialize Live Data managers (before PageNavigationManager)
         const liveCanvasManager = new CanvasManager('liveCanvas');
         const wsManager = new WebSocketManager();
-        const liveDataManager = new LiveDataManager(liveCanvasManager, wsManager);
+        const simulator = new LiveDataSimulator(configManager);
+        const liveDataManager = new LiveDataManager(liveCanvasManager, wsManager, simulator, configManager);
+        const recordingManager = new RecordingManager(configManager, liveDataManager);
+        const liveChartManager = new LiveChartManager(configManager, liveDataManager, recordingManager.player);
+        const ruleAlertManager = new RuleAlertManager(liveDataManager);
+        const deviceCommandManager = new DeviceCommandManager(configManager, liveDataManager, wsManager);
 
         // Initialize PageNavigationManager with liveDataManager reference
-        const pageNavManager = new PageNavigationManager(liveDataManager);
+        const pageNavManager = new PageNavigationManager(liveDataManager, enginePidManager);
 
         // Initialize UI components
         uiManager.initialize();
         settingsManager.initialize();
+        configImportManager.initialize();
+        screenGeneratorManager.initialize();
+        enginePidManager.initialize();
         pageNavManager.initialize();
         liveDataManager.initialize();
+        recordingManager.initialize();
+        liveChartManager.initialize();
+        ruleAlertManager.initialize();
+        deviceCommandManager.initialize();
+        uiManager.attachLiveData(liveDataManager);
 
         // Clear loading message
         if (statusText) {
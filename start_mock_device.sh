@@ -0,0 +1 @@
+node mock_device_server.js 8080